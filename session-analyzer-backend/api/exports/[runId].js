@@ -0,0 +1,84 @@
+require("dotenv").config();
+const mongoService = require("../../backend/services/mongoService");
+const queryRunService = require("../../backend/services/queryRunService");
+const exportService = require("../../backend/services/exportService");
+const authService = require("../../backend/services/authService");
+const { AuthError } = authService;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader("Access-Control-Allow-Credentials", true);
+  const allowedOrigin = authService.getAllowedOrigin(req.headers.origin);
+  if (allowedOrigin) {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, X-API-Key, X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
+  );
+
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== "GET") {
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+  }
+
+  try {
+    await mongoService.connect();
+    // Links opened by the browser carry a download token instead of credentials
+    const principal = req.query.download_token
+      ? authService.verifyDownloadToken(req.query.download_token, req.query.runId)
+      : await authService.authenticateRequest(req);
+
+    const format = (req.query.format || "csv").toLowerCase();
+    if (!["csv", "xlsx", "html"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "Format must be one of csv, xlsx or html",
+      });
+    }
+
+    const run = await queryRunService.getRun(req.query.runId);
+    if (!run || !authService.canAccess(principal, run.scope)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Query run not found" });
+    }
+
+    console.log(`📤 Exporting run ${run._id} as ${format}`);
+    const results = await queryRunService.getFullResults(run);
+
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.send(exportService.toHTMLReport(run, results));
+    }
+
+    const body =
+      format === "csv"
+        ? exportService.toCSV(results)
+        : exportService.toXLSX(run, results);
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${exportService.fileName(run, format)}"`
+    );
+    res.send(body);
+  } catch (error) {
+    console.error("❌ Export failed:", error.message);
+    res.status(error instanceof AuthError ? error.status : 500).json({
+      success: false,
+      error: error.message || "An error occurred while exporting results",
+    });
+  }
+}
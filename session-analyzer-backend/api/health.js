@@ -8,9 +8,10 @@ let isContextInitialized = false;
 async function initializeContexts() {
   if (!isContextInitialized) {
     console.log("🔄 Initializing contexts for health check...");
+    // Connect first: the query generator introspects the collection schema
+    await mongoService.connect();
     await queryGenerator.initialize();
     await resultAnalyzer.initialize();
-    await mongoService.connect();
     isContextInitialized = true;
     console.log("✅ Contexts initialized for health check");
   }
@@ -0,0 +1,78 @@
+require("dotenv").config();
+const mongoService = require("../backend/services/mongoService");
+const importService = require("../backend/services/importService");
+const authService = require("../backend/services/authService");
+const { AuthError } = authService;
+
+// Collect the raw upload; the file is sent as the request body
+function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) return Promise.resolve(req.body);
+  if (typeof req.body === "string") return Promise.resolve(Buffer.from(req.body));
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader("Access-Control-Allow-Credentials", true);
+  const allowedOrigin = authService.getAllowedOrigin(req.headers.origin);
+  if (allowedOrigin) {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, X-API-Key, X-CSRF-Token, X-Requested-With, X-Filename, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
+  );
+
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+  }
+
+  try {
+    await mongoService.connect();
+    const principal = await authService.authenticateRequest(req);
+    authService.assertRole(principal, "admin");
+
+    const body = await readRawBody(req);
+    if (body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "File content is required",
+      });
+    }
+
+    const { sheet, filename, format, dryRun } = req.query;
+    console.log(`📥 Importing ${filename || "upload"}...`);
+
+    const report = await importService.importFile(body, {
+      sheet,
+      filename: filename || req.headers["x-filename"],
+      format,
+      dryRun: dryRun === "1" || dryRun === "true",
+    });
+    console.log(
+      `✅ Import finished: ${report.inserted} inserted, ${report.updated} updated, ${report.skipped} skipped`
+    );
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error("❌ Import failed:", error.message);
+    res.status(error instanceof AuthError ? error.status : 500).json({
+      success: false,
+      error: error.message || "An error occurred while importing the file",
+    });
+  }
+}
@@ -6,13 +6,39 @@ require("dotenv").config();
 const queryGenerator = require("../backend/services/queryGenerator");
 const resultAnalyzer = require("../backend/services/resultAnalyzer");
 const mongoService = require("../backend/services/mongoService");
+const queryService = require("../backend/services/queryService");
+const EventStream = require("../backend/services/eventStream");
+const { PipelineValidationError } = require("../backend/services/pipelineValidator");
+const queryRunService = require("../backend/services/queryRunService");
+const exportService = require("../backend/services/exportService");
+const savedQueriesRouter = require("../backend/routes/savedQueries");
+const alertsRouter = require("../backend/routes/alerts");
+const adminRouter = require("../backend/routes/admin");
+const feedbackRouter = require("../backend/routes/feedback");
+const runsRouter = require("../backend/routes/runs");
+const instructorsRouter = require("../backend/routes/instructors");
+const importService = require("../backend/services/importService");
+const authService = require("../backend/services/authService");
+const { authenticate, requireRole, corsOptions } = require("../backend/middleware/auth");
 
 const app = express();
 
+const IMPORT_CONTENT_TYPES = [
+  "text/csv",
+  "application/octet-stream",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 
+// Every API route except the health check needs an API key or JWT
+app.use("/api", (req, res, next) =>
+  req.path === "/health" ? next() : authenticate(req, res, next)
+);
+
 // Global context cache - persists until server restart
 let isContextInitialized = false;
 
@@ -20,20 +46,32 @@ let isContextInitialized = false;
 async function initializeContexts() {
   if (!isContextInitialized) {
     console.log("🔄 Initializing global contexts...");
+    // Connect first: the query generator introspects the collection schema
+    await mongoService.connect();
     await queryGenerator.initialize();
     await resultAnalyzer.initialize();
-    await mongoService.connect();
     isContextInitialized = true;
     console.log("✅ Global contexts initialized");
   }
 }
 
+// Make sure services are ready before a router handles the request
+async function withContexts(req, res, next) {
+  try {
+    await initializeContexts();
+    next();
+  } catch (error) {
+    console.error("❌ Initialization failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
 // Main query endpoint
 app.post("/api/query", async (req, res) => {
   try {
     await initializeContexts();
 
-    const { query } = req.body;
+    const { query, conversationId, dryRun, explain } = req.body;
 
     if (!query || query.trim() === "") {
       return res.status(400).json({
@@ -42,43 +80,228 @@ app.post("/api/query", async (req, res) => {
       });
     }
 
-    console.log(`📝 Processing query: "${query}"`);
+    // dryRun: only generate the pipeline; explain: also summarize its query plan
+    const result = await queryService.processQuery(query, {
+      conversationId,
+      principal: req.principal,
+      // ?fresh=1 skips cached pipelines and results
+      fresh: req.query.fresh === "1" || Boolean(req.body.fresh),
+      dryRun: Boolean(dryRun),
+      explain: Boolean(explain),
+    });
 
-    // Step 1: Generate MongoDB query using ChatGPT
-    console.log("🔄 Generating MongoDB query...");
-    const mongoQuery = await queryGenerator.generateQuery(query);
-    console.log("✅ MongoDB query generated");
+    // Response
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("❌ Query processing failed:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "An error occurred while processing your query",
+    });
+  }
+});
 
-    // Step 2: Execute query with retry logic
-    console.log("🔄 Executing database query...");
-    const results = await mongoService.executeQueryWithRetry(mongoQuery, query);
-    console.log(
-      `✅ Query executed successfully, ${results.length} results found`
-    );
+// Streaming query endpoint - same flow as /api/query, delivered as Server-Sent Events
+app.post("/api/query/stream", async (req, res) => {
+  const { query, conversationId } = req.body;
 
-    // Step 3: Analyze results using ChatGPT
-    console.log("🔄 Analyzing results...");
-    const analysis = await resultAnalyzer.analyzeResults(query, results);
-    console.log("✅ Results analyzed");
+  if (!query || query.trim() === "") {
+    return res.status(400).json({
+      success: false,
+      error: "Query is required",
+    });
+  }
 
-    // Response
-    res.json({
-      success: true,
-      query: query,
-      resultCount: results.length,
-      analysis: analysis,
-      rawResults: results.length <= 200 ? results : results.slice(0, 50), // Include raw data for complete analysis
-      executionTime: new Date().toISOString(),
+  const stream = new EventStream(res);
+
+  try {
+    await initializeContexts();
+
+    const result = await queryService.processQuery(query, {
+      conversationId,
+      principal: req.principal,
+      // ?fresh=1 skips cached pipelines and results
+      fresh: req.query.fresh === "1" || Boolean(req.body.fresh),
+      onEvent: (type, data) => stream.send(type, data),
     });
+
+    stream.send("done", { success: true, ...result });
   } catch (error) {
-    console.error("❌ Query processing failed:", error.message);
-    res.status(500).json({
+    console.error("❌ Streaming query failed:", error.message);
+    stream.send("error", {
       success: false,
       error: error.message || "An error occurred while processing your query",
     });
+  } finally {
+    stream.close();
+  }
+});
+
+// Run a pipeline edited by the user; validated and restricted like generated ones
+app.post("/api/query/pipeline", async (req, res) => {
+  try {
+    await initializeContexts();
+
+    const { query, pipeline, conversationId } = req.body;
+
+    if (!query || query.trim() === "" || !Array.isArray(pipeline)) {
+      return res.status(400).json({
+        success: false,
+        error: "Query and a pipeline array are required",
+      });
+    }
+
+    const result = await queryService.runEditedPipeline(query, pipeline, {
+      conversationId,
+      principal: req.principal,
+      // ?fresh=1 skips cached pipelines and results
+      fresh: req.query.fresh === "1" || Boolean(req.body.fresh),
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof PipelineValidationError) {
+      return res
+        .status(400)
+        .json({ success: false, error: error.message, errors: error.errors });
+    }
+    console.error("❌ Edited pipeline failed:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "An error occurred while running the pipeline",
+    });
+  }
+});
+
+// Short-lived token for a run's export links, which can't send the API key
+app.post("/api/exports/:runId/token", async (req, res) => {
+  try {
+    await initializeContexts();
+
+    const run = await queryRunService.getRun(req.params.runId);
+    if (!run || !authService.canAccess(req.principal, run.scope)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Query run not found" });
+    }
+
+    res.json({ success: true, ...authService.createDownloadToken(req.principal, run._id) });
+  } catch (error) {
+    console.error("❌ Creating download token failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export a completed query run as CSV, XLSX or a printable HTML report
+app.get("/api/exports/:runId", async (req, res) => {
+  try {
+    await initializeContexts();
+
+    const format = (req.query.format || "csv").toLowerCase();
+    if (!["csv", "xlsx", "html"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "Format must be one of csv, xlsx or html",
+      });
+    }
+
+    const run = await queryRunService.getRun(req.params.runId);
+    if (!run || !authService.canAccess(req.principal, run.scope)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Query run not found" });
+    }
+
+    console.log(`📤 Exporting run ${run._id} as ${format}`);
+    const results = await queryRunService.getFullResults(run);
+
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.send(exportService.toHTMLReport(run, results));
+    }
+
+    const body =
+      format === "csv"
+        ? exportService.toCSV(results)
+        : exportService.toXLSX(run, results);
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${exportService.fileName(run, format)}"`
+    );
+    res.send(body);
+  } catch (error) {
+    console.error("❌ Export failed:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "An error occurred while exporting results",
+    });
   }
 });
 
+// Saved queries and their snapshots (scheduling runs in backend/server.js)
+app.use("/api/saved-queries", withContexts, savedQueriesRouter);
+
+// Threshold alert rules and the alerts they raise
+app.use("/api/alerts", requireRole("admin"), withContexts, alertsRouter);
+
+// Admin tools: query audit log
+app.use("/api/admin", requireRole("admin"), withContexts, adminRouter);
+
+// Answer ratings and corrections that feed the few-shot example bank
+app.use("/api/feedback", withContexts, feedbackRouter);
+
+// Pages of a completed run's stored results
+app.use("/api/runs", withContexts, runsRouter);
+
+// Per-instructor scorecards computed without the LLM
+app.use("/api/instructors", withContexts, instructorsRouter);
+
+// Spreadsheet import endpoint - the request body is the raw CSV or XLSX file
+app.post(
+  "/api/import",
+  requireRole("admin"),
+  express.raw({ type: IMPORT_CONTENT_TYPES, limit: "20mb" }),
+  async (req, res) => {
+    try {
+      await initializeContexts();
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "File content is required",
+        });
+      }
+
+      const { sheet, filename, format, dryRun } = req.query;
+      console.log(`📥 Importing ${filename || "upload"}...`);
+
+      const report = await importService.importFile(req.body, {
+        sheet,
+        filename: filename || req.get("X-Filename"),
+        format,
+        dryRun: dryRun === "1" || dryRun === "true",
+      });
+      console.log(
+        `✅ Import finished: ${report.inserted} inserted, ${report.updated} updated, ${report.skipped} skipped`
+      );
+
+      res.json({ success: true, report });
+    } catch (error) {
+      console.error("❌ Import failed:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message || "An error occurred while importing the file",
+      });
+    }
+  }
+);
+
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
   try {
@@ -2,6 +2,9 @@ require("dotenv").config();
 const queryGenerator = require("../backend/services/queryGenerator");
 const resultAnalyzer = require("../backend/services/resultAnalyzer");
 const mongoService = require("../backend/services/mongoService");
+const queryService = require("../backend/services/queryService");
+const authService = require("../backend/services/authService");
+const { AuthError } = authService;
 
 // Global context cache
 let isContextInitialized = false;
@@ -9,9 +12,10 @@ let isContextInitialized = false;
 async function initializeContexts() {
   if (!isContextInitialized) {
     console.log("🔄 Initializing global contexts...");
+    // Connect first: the query generator introspects the collection schema
+    await mongoService.connect();
     await queryGenerator.initialize();
     await resultAnalyzer.initialize();
-    await mongoService.connect();
     isContextInitialized = true;
     console.log("✅ Global contexts initialized");
   }
@@ -20,14 +24,17 @@ async function initializeContexts() {
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader("Access-Control-Allow-Credentials", true);
-  res.setHeader("Access-Control-Allow-Origin", "*");
+  const allowedOrigin = authService.getAllowedOrigin(req.headers.origin);
+  if (allowedOrigin) {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+  }
   res.setHeader(
     "Access-Control-Allow-Methods",
     "GET,OPTIONS,PATCH,DELETE,POST,PUT"
   );
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
+    "Authorization, X-API-Key, X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
   );
 
   // Handle preflight request
@@ -45,8 +52,9 @@ export default async function handler(req, res) {
 
   try {
     await initializeContexts();
+    const principal = await authService.authenticateRequest(req);
 
-    const { query } = req.body;
+    const { query, conversationId, dryRun, explain } = req.body;
 
     if (!query || query.trim() === "") {
       return res.status(400).json({
@@ -55,37 +63,21 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log(`📝 Processing query: "${query}"`);
-
-    // Step 1: Generate MongoDB query
-    console.log("🔄 Generating MongoDB query...");
-    const mongoQuery = await queryGenerator.generateQuery(query);
-    console.log("✅ MongoDB query generated");
-
-    // Step 2: Execute query
-    console.log("🔄 Executing database query...");
-    const results = await mongoService.executeQueryWithRetry(mongoQuery, query);
-    console.log(
-      `✅ Query executed successfully, ${results.length} results found`
-    );
-
-    // Step 3: Analyze results
-    console.log("🔄 Analyzing results...");
-    const analysis = await resultAnalyzer.analyzeResults(query, results);
-    console.log("✅ Results analyzed");
+    // dryRun: only generate the pipeline; explain: also summarize its query plan
+    const result = await queryService.processQuery(query, {
+      conversationId,
+      principal,
+      // ?fresh=1 skips cached pipelines and results
+      fresh: req.query.fresh === "1" || Boolean(req.body.fresh),
+      dryRun: Boolean(dryRun),
+      explain: Boolean(explain),
+    });
 
     // Response
-    res.json({
-      success: true,
-      query: query,
-      resultCount: results.length,
-      analysis: analysis,
-      rawResults: results.length <= 200 ? results : results.slice(0, 50),
-      executionTime: new Date().toISOString(),
-    });
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error("❌ Query processing failed:", error.message);
-    res.status(500).json({
+    res.status(error instanceof AuthError ? error.status : 500).json({
       success: false,
       error: error.message || "An error occurred while processing your query",
     });
@@ -0,0 +1,92 @@
+require("dotenv").config();
+const queryGenerator = require("../../backend/services/queryGenerator");
+const resultAnalyzer = require("../../backend/services/resultAnalyzer");
+const mongoService = require("../../backend/services/mongoService");
+const queryService = require("../../backend/services/queryService");
+const EventStream = require("../../backend/services/eventStream");
+const authService = require("../../backend/services/authService");
+const { AuthError } = authService;
+
+// Global context cache
+let isContextInitialized = false;
+
+async function initializeContexts() {
+  if (!isContextInitialized) {
+    console.log("🔄 Initializing global contexts...");
+    // Connect first: the query generator introspects the collection schema
+    await mongoService.connect();
+    await queryGenerator.initialize();
+    await resultAnalyzer.initialize();
+    isContextInitialized = true;
+    console.log("✅ Global contexts initialized");
+  }
+}
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader("Access-Control-Allow-Credentials", true);
+  const allowedOrigin = authService.getAllowedOrigin(req.headers.origin);
+  if (allowedOrigin) {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, X-API-Key, X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
+  );
+
+  // Handle preflight request
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return;
+  }
+
+  // Only accept POST requests
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+  }
+
+  const { query, conversationId } = req.body;
+
+  if (!query || query.trim() === "") {
+    return res.status(400).json({
+      success: false,
+      error: "Query is required",
+    });
+  }
+
+  // Authenticate before the event stream commits to a 200 response
+  let principal;
+  try {
+    await initializeContexts();
+    principal = await authService.authenticateRequest(req);
+  } catch (error) {
+    return res
+      .status(error instanceof AuthError ? error.status : 500)
+      .json({ success: false, error: error.message });
+  }
+
+  const stream = new EventStream(res);
+
+  try {
+    const result = await queryService.processQuery(query, {
+      conversationId,
+      principal,
+      // ?fresh=1 skips cached pipelines and results
+      fresh: req.query.fresh === "1" || Boolean(req.body.fresh),
+      onEvent: (type, data) => stream.send(type, data),
+    });
+
+    stream.send("done", { success: true, ...result });
+  } catch (error) {
+    console.error("❌ Streaming query failed:", error.message);
+    stream.send("error", {
+      success: false,
+      error: error.message || "An error occurred while processing your query",
+    });
+  } finally {
+    stream.close();
+  }
+}
@@ -0,0 +1,50 @@
+const authService = require("../services/authService");
+const { AuthError } = authService;
+
+// Export links (GET /exports/:runId) can't send headers and carry a download token
+const EXPORT_PATH = /^\/exports\/([^/]+)$/;
+
+// Attach req.principal from the API key or JWT, or reject the request
+async function authenticate(req, res, next) {
+  if (req.method === "OPTIONS") return next();
+
+  try {
+    const exportMatch = req.method === "GET" && req.path.match(EXPORT_PATH);
+    req.principal =
+      exportMatch && req.query.download_token
+        ? authService.verifyDownloadToken(
+            req.query.download_token,
+            decodeURIComponent(exportMatch[1])
+          )
+        : await authService.authenticateRequest(req);
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error("❌ Authentication failed:", error.message);
+    }
+    res
+      .status(error instanceof AuthError ? error.status : 500)
+      .json({ success: false, error: error.message });
+  }
+}
+
+// Use after authenticate: only the listed roles may continue
+function requireRole(...roles) {
+  return (req, res, next) => {
+    try {
+      authService.assertRole(req.principal, ...roles);
+      next();
+    } catch (error) {
+      res.status(error.status).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// CORS options for the Express apps, honouring CORS_ORIGINS
+const corsOptions = {
+  origin: (origin, callback) => {
+    callback(null, !origin || authService.getAllowedOrigin(origin) !== null);
+  },
+};
+
+module.exports = { authenticate, requireRole, corsOptions };
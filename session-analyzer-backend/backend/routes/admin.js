@@ -0,0 +1,70 @@
+const express = require("express");
+const auditService = require("../services/auditService");
+const mongoService = require("../services/mongoService");
+
+const router = express.Router();
+
+// Search the query audit log, newest first.
+// Filters: user, q (text in the question), status, source, conversationId,
+// from/to (ISO dates), failedAttempts=1; paging with limit and skip
+router.get("/audit", async (req, res) => {
+  try {
+    const { user, q, status, source, conversationId, from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res
+          .status(400)
+          .json({ success: false, error: `${name} must be a valid date` });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const { records, total } = await auditService.search(
+      {
+        user,
+        q,
+        status,
+        source,
+        conversationId,
+        from,
+        to,
+        failedAttempts:
+          req.query.failedAttempts === "1" || req.query.failedAttempts === "true",
+      },
+      { limit, skip }
+    );
+
+    res.json({ success: true, total, limit, skip, records });
+  } catch (error) {
+    console.error("❌ Audit search failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get("/audit/:id", async (req, res) => {
+  try {
+    const record = await auditService.get(req.params.id);
+    if (!record) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Audit record not found" });
+    }
+    res.json({ success: true, record });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Size of the sessions collection (used by the CLI's stats command)
+router.get("/stats", async (req, res) => {
+  try {
+    const stats = await mongoService.getCollectionStats();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error("❌ Collection stats failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
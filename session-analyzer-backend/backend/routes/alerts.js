@@ -0,0 +1,92 @@
+const express = require("express");
+const alertService = require("../services/alertService");
+
+const router = express.Router();
+
+// List alerts, newest first (?status=active|resolved, ?ruleId=)
+router.get("/", async (req, res) => {
+  try {
+    const { status, ruleId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const alerts = await alertService.listAlerts({ status, ruleId, limit });
+    res.json({ success: true, alerts });
+  } catch (error) {
+    console.error("❌ Listing alerts failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Evaluate all enabled rules now (also the target for external cron triggers)
+router.post("/evaluate", async (req, res) => {
+  try {
+    const results = await alertService.evaluateAll();
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error("❌ Alert evaluation failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get("/rules", async (req, res) => {
+  try {
+    const rules = await alertService.listRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post("/rules", async (req, res) => {
+  try {
+    const errors = alertService.validateRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const rule = await alertService.createRule(req.body);
+    console.log(`🚨 Created alert rule "${rule.name}"`);
+
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error("❌ Creating alert rule failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.put("/rules/:id", async (req, res) => {
+  try {
+    const errors = alertService.validateRule(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const rule = await alertService.updateRule(req.params.id, req.body);
+    if (!rule) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Alert rule not found" });
+    }
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error("❌ Updating alert rule failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete("/rules/:id", async (req, res) => {
+  try {
+    const deleted = await alertService.deleteRule(req.params.id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Alert rule not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
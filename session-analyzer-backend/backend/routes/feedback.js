@@ -0,0 +1,98 @@
+const express = require("express");
+const feedbackService = require("../services/feedbackService");
+const exampleBank = require("../services/exampleBank");
+const { requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Rate an answer: { runId, rating: "up" | "down", correctedPipeline?, comment? }
+router.post("/", async (req, res) => {
+  try {
+    const errors = feedbackService.validateInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const feedback = await feedbackService.submit(req.body, req.principal);
+    if (!feedback) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Query run not found" });
+    }
+    console.log(
+      `🗳️ Feedback on run ${feedback.runId}: ${feedback.rating || ""}${
+        feedback.correctedPipeline ? " (corrected pipeline)" : ""
+      }`
+    );
+
+    res.status(201).json({ success: true, feedback });
+  } catch (error) {
+    console.error("❌ Saving feedback failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Verified examples used as few-shot prompts
+router.get("/examples", requireRole("admin"), async (req, res) => {
+  try {
+    const examples = await exampleBank.listExamples();
+    res.json({ success: true, examples });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete("/examples/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const deleted = await exampleBank.removeExample(req.params.id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Example not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Examples proposed by non-admins, waiting for approval
+router.get("/candidates", requireRole("admin"), async (req, res) => {
+  try {
+    const candidates = await exampleBank.listCandidates();
+    res.json({ success: true, candidates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post("/candidates/:id/approve", requireRole("admin"), async (req, res) => {
+  try {
+    const candidate = await exampleBank.approveCandidate(req.params.id);
+    if (!candidate) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Candidate not found" });
+    }
+    console.log(`✅ Approved example for "${candidate.question}"`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete("/candidates/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const deleted = await exampleBank.removeCandidate(req.params.id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Candidate not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
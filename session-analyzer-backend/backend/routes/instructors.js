@@ -0,0 +1,46 @@
+const express = require("express");
+const scorecardService = require("../services/scorecardService");
+
+const router = express.Router();
+
+// Deterministic scorecard of one instructor: ?sessions=<recent sessions for the trend>
+// and ?narrative=1 to add an AI-written analysis of the figures. Names the caller
+// can't see get the same 404 as unknown ones
+router.get("/:name/scorecard", async (req, res) => {
+  try {
+    const match = await scorecardService.resolveInstructor(
+      req.params.name,
+      req.principal
+    );
+    if (!match) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Instructor not found" });
+    }
+    if (match.candidates) {
+      return res.status(404).json({
+        success: false,
+        error: `Instructor not found, did you mean ${match.candidates.join(" or ")}?`,
+        candidates: match.candidates,
+      });
+    }
+
+    const scorecard = await scorecardService.getScorecard(match.value, {
+      principal: req.principal,
+      recentSessions: req.query.sessions,
+      narrative: req.query.narrative === "1" || req.query.narrative === "true",
+    });
+    if (!scorecard) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Instructor not found" });
+    }
+
+    res.json({ success: true, scorecard });
+  } catch (error) {
+    console.error("❌ Building scorecard failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
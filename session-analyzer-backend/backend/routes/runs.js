@@ -0,0 +1,36 @@
+const express = require("express");
+const queryRunService = require("../services/queryRunService");
+const authService = require("../services/authService");
+
+const router = express.Router();
+
+// Page through a run's stored results: ?cursor=&limit=&sort=&order=asc|desc
+router.get("/:runId/results", async (req, res) => {
+  try {
+    const errors = queryRunService.validatePageOptions(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const run = await queryRunService.getRun(req.params.runId);
+    if (!run || !authService.canAccess(req.principal, run.scope)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Query run not found" });
+    }
+
+    const page = await queryRunService.getPage(run, req.query);
+    if (!page) {
+      return res.status(410).json({
+        success: false,
+        error: "Results for this run have expired, run the query again",
+      });
+    }
+    res.json({ success: true, runId: run._id, ...page });
+  } catch (error) {
+    console.error("❌ Loading results page failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require("express");
+const savedQueryService = require("../services/savedQueryService");
+const scheduler = require("../services/scheduler");
+
+const router = express.Router();
+
+// Saved queries are visible to their owner and to admins
+function isVisible(savedQuery, principal) {
+  return Boolean(
+    savedQuery &&
+      (principal.role === "admin" || savedQuery.ownerId === principal.id)
+  );
+}
+
+// Load the saved query in req.params.id, answering 404 when it isn't visible
+async function loadSavedQuery(req, res) {
+  const savedQuery = await savedQueryService.get(req.params.id);
+  if (!isVisible(savedQuery, req.principal)) {
+    res.status(404).json({ success: false, error: "Saved query not found" });
+    return null;
+  }
+  return savedQuery;
+}
+
+// List saved queries
+router.get("/", async (req, res) => {
+  try {
+    const savedQueries = await savedQueryService.list(
+      req.principal.role === "admin" ? null : req.principal.id
+    );
+    res.json({ success: true, savedQueries });
+  } catch (error) {
+    console.error("❌ Listing saved queries failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Save a question, optionally pinned to a pipeline or a completed run
+router.post("/", async (req, res) => {
+  try {
+    const errors = savedQueryService.validateInput(req.body, {
+      principal: req.principal,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const savedQuery = await savedQueryService.create(req.body, req.principal);
+    scheduler.schedule(savedQuery);
+    console.log(`⭐ Saved query "${savedQuery.name}"`);
+
+    res.status(201).json({ success: true, savedQuery });
+  } catch (error) {
+    console.error("❌ Saving query failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const savedQuery = await loadSavedQuery(req, res);
+    if (!savedQuery) return;
+    res.json({ success: true, savedQuery });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const errors = savedQueryService.validateInput(req.body, {
+      partial: true,
+      principal: req.principal,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+    if (!(await loadSavedQuery(req, res))) return;
+
+    const savedQuery = await savedQueryService.update(req.params.id, req.body);
+    if (!savedQuery) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Saved query not found" });
+    }
+    scheduler.schedule(savedQuery);
+
+    res.json({ success: true, savedQuery });
+  } catch (error) {
+    console.error("❌ Updating saved query failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!(await loadSavedQuery(req, res))) return;
+    const deleted = await savedQueryService.remove(req.params.id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Saved query not found" });
+    }
+    scheduler.unschedule(req.params.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run now (also the target for external cron triggers on serverless deployments)
+router.post("/:id/run", async (req, res) => {
+  try {
+    if (!(await loadSavedQuery(req, res))) return;
+    const snapshot = await savedQueryService.run(req.params.id);
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    console.error("❌ Saved query run failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get("/:id/snapshots", async (req, res) => {
+  try {
+    if (!(await loadSavedQuery(req, res))) return;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const snapshots = await savedQueryService.listSnapshots(req.params.id, limit);
+    res.json({ success: true, snapshots });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get("/:id/snapshots/:snapshotId", async (req, res) => {
+  try {
+    if (!(await loadSavedQuery(req, res))) return;
+    const snapshot = await savedQueryService.getSnapshot(
+      req.params.id,
+      req.params.snapshotId
+    );
+    if (!snapshot) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Snapshot not found" });
+    }
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+// Usage: node backend/scripts/cli.js <command> [options]
+//   query "<question>"  answer one question and exit
+//   repl                interactive session with history and follow-up questions (default)
+//   health              check the database connection
+//   stats               size of the sessions collection
+// Options:
+//   --format=table|json|csv   output of query results (default table)
+//   --show-pipeline           print the MongoDB pipeline that was run
+//   --limit=N                 rows shown in table output (default 50)
+//   --conversation=<id>       continue an earlier conversation
+//   --fresh                   ignore cached pipelines and results
+//   --server=<url>            call a running server (e.g. http://localhost:3000/api)
+//                             instead of the database; defaults to ANALYZER_API_URL
+//   --api-key=<key>           key for --server; defaults to ANALYZER_API_KEY
+//   --verbose                 show service logs on stderr
+require("dotenv").config();
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const exportService = require("../services/exportService");
+const resultAnalyzer = require("../services/resultAnalyzer");
+
+const USAGE = `Usage: node backend/scripts/cli.js <query "<question>" | repl | health | stats>
+  [--format=table|json|csv] [--show-pipeline] [--limit=N] [--conversation=<id>] [--fresh]
+  [--server=<url>] [--api-key=<key>] [--verbose]`;
+const FORMATS = ["table", "json", "csv"];
+const VALUE_OPTIONS = ["format", "limit", "conversation", "server", "api-key"];
+const HISTORY_FILE = path.join(os.homedir(), ".session_analyzer_history");
+const MAX_CELL_WIDTH = 40;
+
+// Accepts both --format=csv and --format csv
+function parseArgs(argv) {
+  const options = { args: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      options.args.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else if (VALUE_OPTIONS.includes(match[1]) && i + 1 < argv.length) {
+      options[match[1]] = argv[++i];
+    } else {
+      options[match[1]] = true;
+    }
+  }
+  return options;
+}
+
+// Runs questions through the services in this process
+class LocalClient {
+  constructor() {
+    this.mongoService = require("../services/mongoService");
+    this.queryService = require("../services/queryService");
+    this.queryRunService = require("../services/queryRunService");
+    this.principal = { id: "cli", name: os.userInfo().username, role: "admin" };
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+    // Connect first: the query generator introspects the collection schema
+    await this.mongoService.connect();
+    await require("../services/queryGenerator").initialize();
+    await require("../services/resultAnalyzer").initialize();
+    this.isInitialized = true;
+  }
+
+  async query(question, conversationId, fresh) {
+    await this.initialize();
+    const response = await this.queryService.processQuery(question, {
+      conversationId,
+      principal: this.principal,
+      fresh,
+    });
+    // Clarifications carry a question for the user instead of a run
+    if (response.clarification) return { response, rows: [] };
+    const run = await this.queryRunService.getRun(response.runId);
+    return { response, rows: await this.queryRunService.getFullResults(run) };
+  }
+
+  async health() {
+    await this.mongoService.connect();
+    const count = await this.mongoService.testConnection();
+    return `Database is healthy (${count} session records)`;
+  }
+
+  async stats() {
+    await this.mongoService.connect();
+    return this.mongoService.getCollectionStats();
+  }
+
+  async close() {
+    await this.mongoService.disconnect();
+  }
+}
+
+// Calls the HTTP API of a running server
+class RemoteClient {
+  constructor(baseUrl, apiKey) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+  }
+
+  async request(urlPath, options = {}) {
+    const response = await fetch(`${this.baseUrl}${urlPath}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+    return data;
+  }
+
+  async query(question, conversationId, fresh) {
+    const response = await this.request("/query", {
+      method: "POST",
+      body: JSON.stringify({ query: question, conversationId, fresh }),
+    });
+    if (response.clarification) return { response, rows: [] };
+
+    // The response only carries the first page; read the rest from the run
+    const rows = [...response.page.rows];
+    let cursor = response.page.nextCursor;
+    while (cursor) {
+      const page = await this.request(
+        `/runs/${encodeURIComponent(response.runId)}/results?cursor=${encodeURIComponent(
+          cursor
+        )}&limit=500`
+      );
+      rows.push(...page.rows);
+      cursor = page.nextCursor;
+    }
+    return { response, rows };
+  }
+
+  async health() {
+    const data = await this.request("/health");
+    return data.message;
+  }
+
+  async stats() {
+    const data = await this.request("/admin/stats");
+    return data.stats;
+  }
+
+  async close() {}
+}
+
+function formatTable(rows, limit) {
+  if (rows.length === 0) return "(no rows)\n";
+
+  const shown = exportService.toFlatRows(rows.slice(0, limit));
+  const columns = exportService.columnsFor(shown);
+  const cell = (value) => {
+    const text = String(value === undefined ? "" : value).replace(/\s+/g, " ");
+    return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+  };
+  const cells = shown.map((row) => columns.map((c) => cell(row[c])));
+  const widths = columns.map((c, i) =>
+    Math.max(c.length, ...cells.map((row) => row[i].length))
+  );
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+
+  const lines = [
+    line(columns),
+    line(widths.map((w) => "-".repeat(w))),
+    ...cells.map(line),
+  ];
+  if (rows.length > limit) {
+    lines.push(`... ${rows.length - limit} more rows (use --format=csv for all of them)`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function printAnswer({ response, rows }, options) {
+  const write = (text) => process.stdout.write(text);
+  // Keep stdout machine-readable for json and csv; the rest goes to stderr
+  const note = (text) =>
+    options.format === "table" ? write(text) : process.stderr.write(text);
+
+  if (options.format === "json") {
+    write(
+      `${JSON.stringify(
+        {
+          query: response.query,
+          conversationId: response.conversationId,
+          runId: response.runId,
+          resultCount: response.resultCount,
+          pipeline: response.pipeline,
+          analysis: response.analysis,
+          statistics: response.statistics,
+          coverage: response.coverage,
+          clarification: response.clarification,
+          results: rows,
+        },
+        null,
+        2
+      )}\n`
+    );
+    return;
+  }
+
+  if (response.clarification) {
+    const { message, options: choices } = response.clarification;
+    note(`${message}\n`);
+    choices.forEach((choice, index) => note(`  ${index + 1}. ${choice.question}\n`));
+    return;
+  }
+
+  if (options["show-pipeline"]) {
+    note(`Pipeline:\n${JSON.stringify(response.pipeline, null, 2)}\n\n`);
+  }
+  if (options.format === "csv") {
+    // Drop the BOM that is only there for Excel
+    write(exportService.toCSV(rows).replace(/^\uFEFF/, ""));
+  } else {
+    write(formatTable(rows, options.limit));
+  }
+  const cached = response.cache && response.cache.results === "hit" ? " (cached)" : "";
+  const capped = response.capped ? `, capped at ${response.limit}` : "";
+  note(`\n${response.resultCount} results${capped}${cached}\n\n${resultAnalyzer.toText(response.analysis)}\n`);
+  if (response.coverage && response.coverage.mode !== "complete") {
+    note(`\n(${response.coverage.description})\n`);
+  }
+}
+
+async function runRepl(client, options) {
+  let history = [];
+  try {
+    history = fs.readFileSync(HISTORY_FILE, "utf8").split("\n").filter(Boolean).reverse();
+  } catch (error) {
+    // No history yet
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: "analyzer> ",
+    history,
+    historySize: 500,
+  });
+  rl.on("history", (lines) => {
+    try {
+      fs.writeFileSync(HISTORY_FILE, `${[...lines].reverse().join("\n")}\n`);
+    } catch (error) {
+      // History is a convenience; never interrupt the session for it
+    }
+  });
+
+  let conversationId = options.conversation;
+  // Options of the last clarification; typing a number asks that question
+  let choices = [];
+  console.error(
+    "Ask a question; follow-ups build on the previous answer. .help lists commands, .exit quits."
+  );
+  rl.prompt();
+
+  for await (const input of rl) {
+    const line = input.trim();
+    const [command, argument] = line.split(/\s+/, 2);
+
+    if (!line) {
+      // Nothing to do
+    } else if (command === ".exit" || command === ".quit") {
+      break;
+    } else if (command === ".help") {
+      console.error(
+        [
+          ".new              start a new conversation",
+          ".format <format>  table, json or csv",
+          ".pipeline         toggle printing the pipeline",
+          "<number>          pick an option after a clarifying question",
+          ".exit             quit",
+        ].join("\n")
+      );
+    } else if (command === ".new") {
+      conversationId = undefined;
+      console.error("Started a new conversation");
+    } else if (command === ".format") {
+      if (FORMATS.includes(argument)) {
+        options.format = argument;
+      } else {
+        console.error(`Format must be one of ${FORMATS.join(", ")}`);
+      }
+    } else if (command === ".pipeline") {
+      options["show-pipeline"] = !options["show-pipeline"];
+      console.error(`Pipeline ${options["show-pipeline"] ? "shown" : "hidden"}`);
+    } else {
+      const choice = /^\d+$/.test(line) ? choices[parseInt(line, 10) - 1] : null;
+      const question = choice ? choice.question : line;
+      try {
+        const answer = await client.query(question, conversationId, Boolean(options.fresh));
+        conversationId = answer.response.conversationId;
+        choices = answer.response.clarification ? answer.response.clarification.options : [];
+        printAnswer(answer, options);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+      }
+    }
+    rl.prompt();
+  }
+
+  rl.close();
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command = "repl", ...rest] = options.args;
+  options.format = options.format || "table";
+  options.limit = parseInt(options.limit, 10) || 50;
+
+  if (!["query", "repl", "health", "stats"].includes(command) || !FORMATS.includes(options.format)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // Service progress logs would mix with the output
+  console.log = options.verbose ? console.error : () => {};
+
+  const server = options.server || process.env.ANALYZER_API_URL;
+  const client = server
+    ? new RemoteClient(server, options["api-key"] || process.env.ANALYZER_API_KEY)
+    : new LocalClient();
+
+  try {
+    if (command === "query") {
+      const question = rest.join(" ").trim();
+      if (!question) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      printAnswer(
+        await client.query(question, options.conversation, Boolean(options.fresh)),
+        options
+      );
+    } else if (command === "repl") {
+      await runRepl(client, options);
+    } else if (command === "health") {
+      process.stdout.write(`✅ ${await client.health()}\n`);
+    } else {
+      const stats = await client.stats();
+      Object.entries(stats).forEach(([key, value]) => {
+        process.stdout.write(`${key.padEnd(18)}${value}\n`);
+      });
+    }
+  } finally {
+    await client.close();
+  }
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
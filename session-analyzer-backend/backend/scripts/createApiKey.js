@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Usage: node backend/scripts/createApiKey.js --name="Jane" --role=admin|domain_lead|instructor [--domain=SRE] [--instructor="Rishi Bollu"]
+require("dotenv").config();
+const mongoService = require("../services/mongoService");
+const authService = require("../services/authService");
+
+const USAGE =
+  'Usage: node backend/scripts/createApiKey.js --name="Jane" --role=admin|domain_lead|instructor [--domain=SRE] [--instructor="Rishi Bollu"]';
+
+function parseArgs(argv) {
+  const options = {};
+  argv.forEach((arg) => {
+    const match = arg.match(/^--([a-z]+)=(.*)$/);
+    if (match) options[match[1]] = match[2];
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.name || !options.role) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await mongoService.connect();
+  const created = await authService.createApiKey(options);
+
+  console.log(`✅ Created ${created.role} key for ${created.name} (${created._id})`);
+  if (created.domain) console.log(`   Restricted to domain: ${created.domain}`);
+  if (created.instructor) console.log(`   Restricted to instructor: ${created.instructor}`);
+  console.log(`\n${created.key}\n`);
+  console.log("Store this key now; only its hash is kept.");
+
+  await mongoService.disconnect();
+  process.exit(0);
+}
+
+main().catch(async (error) => {
+  console.error("❌ Creating API key failed:", error.message);
+  await mongoService.disconnect();
+  process.exit(1);
+});
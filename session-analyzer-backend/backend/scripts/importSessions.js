@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Usage: node backend/scripts/importSessions.js <file.csv|file.xlsx> [--sheet=Name] [--dry-run]
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mongoService = require("../services/mongoService");
+const importService = require("../services/importService");
+
+function parseArgs(argv) {
+  const options = { files: [], dryRun: false, sheet: undefined };
+  argv.forEach((arg) => {
+    if (arg === "--dry-run") options.dryRun = true;
+    else if (arg.startsWith("--sheet=")) options.sheet = arg.slice("--sheet=".length);
+    else options.files.push(arg);
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.files.length === 0) {
+    console.error(
+      "Usage: node backend/scripts/importSessions.js <file.csv|file.xlsx> [--sheet=Name] [--dry-run]"
+    );
+    process.exit(1);
+  }
+
+  if (!options.dryRun) {
+    await mongoService.connect();
+  }
+
+  let hasErrors = false;
+
+  for (const file of options.files) {
+    console.log(`📥 Importing ${file}...`);
+    const report = await importService.importFile(fs.readFileSync(file), {
+      filename: path.basename(file),
+      sheet: options.sheet,
+      dryRun: options.dryRun,
+    });
+
+    report.sheets.forEach((sheet) => {
+      console.log(
+        `✅ ${sheet.sourceSheet}: ${sheet.totalRows} rows, ${sheet.inserted} inserted, ${sheet.updated} updated, ${sheet.skipped} skipped`
+      );
+      if (sheet.unmappedColumns.length > 0) {
+        console.log(`   Ignored columns: ${sheet.unmappedColumns.join(", ")}`);
+      }
+      sheet.errors.forEach((e) => {
+        hasErrors = true;
+        console.log(`   ❌ Row ${e.row} ${e.field}: ${e.message} (${JSON.stringify(e.value)})`);
+      });
+    });
+  }
+
+  await mongoService.disconnect();
+  process.exit(hasErrors ? 2 : 0);
+}
+
+main().catch(async (error) => {
+  console.error("❌ Import failed:", error.message);
+  await mongoService.disconnect();
+  process.exit(1);
+});
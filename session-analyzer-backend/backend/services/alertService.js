@@ -0,0 +1,322 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+const deliveryService = require("./deliveryService");
+
+const METRICS = [
+  "overallAverage",
+  "totalResponses",
+  "studentsAttended",
+  "percentRated",
+  "yesPercent",
+  "noPercent",
+];
+const GROUP_FIELDS = ["instructor", "domain", "class", "cohort"];
+const OPERATORS = { lt: "$lt", lte: "$lte", gt: "$gt", gte: "$gte" };
+
+// Threshold rules evaluated with fixed aggregation pipelines (no LLM involved), e.g.
+// { metric: "overallAverage", groupBy: "instructor", operator: "lt", threshold: 3.8,
+//   window: { type: "sessions", size: 5 } }
+class AlertService {
+  constructor() {
+    this.globalWebhooks = (process.env.ALERT_WEBHOOK_URLS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+    this.isEvaluating = false;
+  }
+
+  getRuleCollection() {
+    return mongoService.getCollection("alertRules");
+  }
+
+  getAlertCollection() {
+    return mongoService.getCollection("alerts");
+  }
+
+  // Returns a list of problems with the rule; empty when it is valid
+  validateRule(rule, { partial = false } = {}) {
+    const errors = [];
+    const check = (field, valid, message) => {
+      if ((!partial || rule[field] !== undefined) && !valid) errors.push(message);
+    };
+
+    check("name", rule.name && String(rule.name).trim() !== "", "name is required");
+    check("metric", METRICS.includes(rule.metric), `metric must be one of ${METRICS.join(", ")}`);
+    check("groupBy", GROUP_FIELDS.includes(rule.groupBy), `groupBy must be one of ${GROUP_FIELDS.join(", ")}`);
+    check("operator", Object.keys(OPERATORS).includes(rule.operator), "operator must be one of lt, lte, gt, gte");
+    check("threshold", typeof rule.threshold === "number", "threshold must be a number");
+    check(
+      "window",
+      rule.window &&
+        ["sessions", "days"].includes(rule.window.type) &&
+        Number.isInteger(rule.window.size) &&
+        rule.window.size > 0,
+      'window must be { type: "sessions" | "days", size: positive integer }'
+    );
+    if (rule.webhookUrls !== undefined) {
+      const urls = Array.isArray(rule.webhookUrls) ? rule.webhookUrls : [];
+      if (urls.length !== rule.webhookUrls.length || urls.some((u) => !/^https?:\/\//.test(u))) {
+        errors.push("webhookUrls must be a list of http(s) URLs");
+      }
+    }
+    if (rule.filter !== undefined && (typeof rule.filter !== "object" || Array.isArray(rule.filter))) {
+      errors.push("filter must be an object of field values, e.g. { \"domain\": \"SRE\" }");
+    }
+
+    return errors;
+  }
+
+  async createRule(input) {
+    const now = new Date();
+    const rule = {
+      _id: crypto.randomUUID(),
+      name: input.name.trim(),
+      metric: input.metric,
+      groupBy: input.groupBy,
+      operator: input.operator,
+      threshold: input.threshold,
+      window: { type: input.window.type, size: input.window.size },
+      filter: input.filter || {},
+      webhookUrls: input.webhookUrls || [],
+      enabled: input.enabled !== false,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await this.getRuleCollection().insertOne(rule);
+      return rule;
+    } catch (error) {
+      throw new Error(`Failed to create alert rule: ${error.message}`);
+    }
+  }
+
+  async updateRule(id, input) {
+    const changes = { updatedAt: new Date() };
+    ["name", "metric", "groupBy", "operator", "threshold", "window", "filter", "webhookUrls", "enabled"]
+      .forEach((field) => {
+        if (input[field] !== undefined) changes[field] = input[field];
+      });
+
+    try {
+      return await this.getRuleCollection().findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      throw new Error(`Failed to update alert rule: ${error.message}`);
+    }
+  }
+
+  async deleteRule(id) {
+    try {
+      const result = await this.getRuleCollection().deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete alert rule: ${error.message}`);
+    }
+  }
+
+  async listRules() {
+    try {
+      return await this.getRuleCollection().find({}).sort({ name: 1 }).toArray();
+    } catch (error) {
+      throw new Error(`Failed to list alert rules: ${error.message}`);
+    }
+  }
+
+  async listAlerts({ status, ruleId, limit = 100 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (ruleId) filter.ruleId = ruleId;
+
+    try {
+      return await this.getAlertCollection()
+        .find(filter)
+        .sort({ lastTriggeredAt: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      throw new Error(`Failed to list alerts: ${error.message}`);
+    }
+  }
+
+  // Aggregation returning { _id: entity, value, sessions } for every breaching group
+  buildPipeline(rule, now = new Date()) {
+    const metricPath = `ratings.${rule.metric}`;
+    const groupPath = rule.groupBy === "cohort" ? "cohorts" : rule.groupBy;
+    const match = { ...rule.filter, [metricPath]: { $type: "number" } };
+
+    if (rule.window.type === "days") {
+      match.sessionDate = {
+        $gte: new Date(now.getTime() - rule.window.size * 24 * 60 * 60 * 1000),
+      };
+    }
+
+    const pipeline = [{ $match: match }];
+    if (rule.groupBy === "cohort") {
+      pipeline.push({ $unwind: "$cohorts" });
+    }
+
+    if (rule.window.type === "sessions") {
+      // Rolling window: the N most recent sessions per group
+      pipeline.push(
+        {
+          $group: {
+            _id: `$${groupPath}`,
+            recent: {
+              $topN: {
+                n: rule.window.size,
+                sortBy: { sessionDate: -1 },
+                output: `$${metricPath}`,
+              },
+            },
+          },
+        },
+        { $project: { value: { $avg: "$recent" }, sessions: { $size: "$recent" } } },
+        { $match: { sessions: { $gte: rule.window.size } } }
+      );
+    } else {
+      pipeline.push({
+        $group: {
+          _id: `$${groupPath}`,
+          value: { $avg: `$${metricPath}` },
+          sessions: { $sum: 1 },
+        },
+      });
+    }
+
+    pipeline.push({
+      $match: { value: { [OPERATORS[rule.operator]]: rule.threshold } },
+    });
+    return pipeline;
+  }
+
+  // Evaluate every enabled rule; concurrent triggers are collapsed into one run
+  async evaluateAll() {
+    if (this.isEvaluating) {
+      console.log("⏭️ Alert evaluation already running, skipping");
+      return [];
+    }
+
+    this.isEvaluating = true;
+    try {
+      const rules = (await this.listRules()).filter((rule) => rule.enabled);
+      const summaries = [];
+      for (const rule of rules) {
+        try {
+          summaries.push(await this.evaluateRule(rule));
+        } catch (error) {
+          console.error(`❌ Alert rule "${rule.name}" failed:`, error.message);
+          summaries.push({ ruleId: rule._id, error: error.message });
+        }
+      }
+      return summaries;
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  async evaluateRule(rule) {
+    const now = new Date();
+    const breaches = await mongoService.executeRawQuery(this.buildPipeline(rule, now));
+    const breachByEntity = new Map(breaches.map((b) => [String(b._id), b]));
+
+    const active = await this.getAlertCollection()
+      .find({ ruleId: rule._id, status: "active" })
+      .toArray();
+    const activeByEntity = new Map(active.map((a) => [a.entity, a]));
+
+    const fired = [];
+    const resolved = [];
+
+    for (const [entity, breach] of breachByEntity) {
+      const value = Math.round(breach.value * 100) / 100;
+      const existing = activeByEntity.get(entity);
+
+      if (existing) {
+        // Still firing: refresh the value but don't notify again
+        await this.getAlertCollection().updateOne(
+          { _id: existing._id },
+          { $set: { value, sessions: breach.sessions, lastTriggeredAt: now } }
+        );
+        continue;
+      }
+
+      const alert = {
+        _id: crypto.randomUUID(),
+        ruleId: rule._id,
+        ruleName: rule.name,
+        groupBy: rule.groupBy,
+        entity,
+        metric: rule.metric,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        value,
+        sessions: breach.sessions,
+        status: "active",
+        firstTriggeredAt: now,
+        lastTriggeredAt: now,
+        resolvedAt: null,
+      };
+      await this.getAlertCollection().insertOne(alert);
+      fired.push(alert);
+    }
+
+    for (const alert of active) {
+      if (breachByEntity.has(alert.entity)) continue;
+      await this.getAlertCollection().updateOne(
+        { _id: alert._id },
+        { $set: { status: "resolved", resolvedAt: now } }
+      );
+      resolved.push({ ...alert, status: "resolved", resolvedAt: now });
+    }
+
+    await this.notify(rule, fired, "alert.fired");
+    await this.notify(rule, resolved, "alert.resolved");
+
+    if (fired.length || resolved.length) {
+      console.log(
+        `🚨 Rule "${rule.name}": ${fired.length} fired, ${resolved.length} resolved`
+      );
+    }
+    return {
+      ruleId: rule._id,
+      breaching: breaches.length,
+      fired: fired.length,
+      resolved: resolved.length,
+    };
+  }
+
+  async notify(rule, alerts, event) {
+    const urls = [...new Set([...(rule.webhookUrls || []), ...this.globalWebhooks])];
+
+    for (const alert of alerts) {
+      for (const url of urls) {
+        try {
+          await deliveryService.postWebhook(url, {
+            event,
+            alert,
+            message: this.describe(alert),
+          });
+        } catch (error) {
+          console.error(`❌ Alert webhook ${url} failed:`, error.message);
+        }
+      }
+    }
+  }
+
+  describe(alert) {
+    const comparison = { lt: "below", lte: "at or below", gt: "above", gte: "at or above" }[
+      alert.operator
+    ];
+    const subject = `${alert.groupBy} "${alert.entity}" ${alert.metric}`;
+    if (alert.status === "resolved") {
+      return `Resolved: ${subject} is no longer ${comparison} ${alert.threshold}`;
+    }
+    return `${subject} is ${alert.value} (${comparison} ${alert.threshold})`;
+  }
+}
+
+module.exports = new AlertService();
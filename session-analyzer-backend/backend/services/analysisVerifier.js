@@ -0,0 +1,255 @@
+const schemaIntrospector = require("./schemaIntrospector");
+const resultAnalyzer = require("./resultAnalyzer");
+
+const ENTITY_FIELDS = ["instructor", "domain", "class", "cohorts"];
+
+const NUMBER_PATTERN = /(?<![\w.])-?\d[\d,]*(?:\.\d+)?%?/g;
+const MONTHS =
+  /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s*$/i;
+// Rating scales ("4.2 out of 5") are not claims about the data
+const SCALE_PREFIX = /(out of|\/)\s*$/i;
+// Small integers are usually list sizes ("top 3") rather than figures
+const TRIVIAL_INTEGER = 10;
+
+// Cross-checks the numbers and names in an analysis against the result set,
+// so figures the model invented can be flagged or sent back for a rewrite
+class AnalysisVerifier {
+  constructor() {
+    this.maxMismatchRate =
+      parseFloat(process.env.ANALYSIS_MAX_MISMATCH_RATE) || 0.3;
+    this.minClaims = parseInt(process.env.ANALYSIS_VERIFY_MIN_CLAIMS, 10) || 3;
+  }
+
+  // Returns { claims, unsupported, mismatchRate, sentences } where sentences
+  // lists the exact analysis sentences that contain unsupported claims.
+  // Structured analyses are checked in their resultAnalyzer.toText form
+  verify(analysis, results, options = {}) {
+    const reference = this.buildReference(results, options.statistics);
+    const question = this.normalize(options.question || "");
+    const questionNumbers = new Set(
+      this.extractNumbers(options.question || "").map((n) => n.value)
+    );
+    const knownEntities = this.getKnownEntities();
+
+    const claims = [];
+    const sentences = [];
+    this.splitSentences(resultAnalyzer.toText(analysis)).forEach((sentence) => {
+      const sentenceClaims = [];
+
+      // Names of instructors, domains etc. that aren't in the results
+      let text = sentence;
+      knownEntities.forEach((entity) => {
+        if (!this.mentions(sentence, entity.normalized)) return;
+        text = text.replace(new RegExp(this.escapeRegex(entity.value), "gi"), " ");
+        sentenceClaims.push({
+          type: "entity",
+          field: entity.field,
+          value: entity.value,
+          supported:
+            reference.strings.has(entity.normalized) ||
+            this.mentions(question, entity.normalized),
+        });
+      });
+
+      this.extractNumbers(text).forEach((number) => {
+        if (questionNumbers.has(number.value)) return;
+        sentenceClaims.push({
+          type: "number",
+          value: number.raw,
+          supported: this.matchesNumber(number, reference.numbers),
+        });
+      });
+
+      claims.push(...sentenceClaims);
+      const unsupported = sentenceClaims.filter((c) => !c.supported);
+      if (unsupported.length > 0) {
+        sentences.push({
+          text: sentence,
+          claims: unsupported.map((c) => c.value),
+        });
+      }
+    });
+
+    const unsupported = claims.filter((c) => !c.supported);
+    return {
+      claims: claims.length,
+      unsupported: unsupported.map(({ type, value, field }) => ({
+        type,
+        value,
+        ...(field && { field }),
+      })),
+      mismatchRate:
+        claims.length > 0
+          ? Math.round((unsupported.length / claims.length) * 1000) / 1000
+          : 0,
+      sentences,
+    };
+  }
+
+  // Worth regenerating only when enough claims were checked to trust the rate
+  needsCorrection(verification) {
+    return (
+      verification.claims >= this.minClaims &&
+      verification.mismatchRate >= this.maxMismatchRate
+    );
+  }
+
+  // Corrections block for the regeneration prompt
+  describeIssues(verification) {
+    const lines = verification.sentences.map(
+      (s) => `- "${s.text}" (not found in the data: ${s.claims.join(", ")})`
+    );
+    return `A previous draft of this analysis made claims that do not match the query results:\n${lines.join(
+      "\n"
+    )}\nRewrite the analysis using only values that appear in the results or in the verified statistics. Do not mention instructors, domains or classes that are not in the results.`;
+  }
+
+  // Every number and string in the results, plus per-field aggregates and the
+  // statistics engine's figures
+  buildReference(results, statistics) {
+    const numbers = [];
+    const strings = new Set();
+    const columns = new Map();
+
+    const walk = (value, path) => {
+      if (value === null || value === undefined) return;
+      if (typeof value === "number") {
+        if (!Number.isFinite(value)) return;
+        numbers.push(value);
+        if (!columns.has(path)) columns.set(path, []);
+        columns.get(path).push(value);
+      } else if (typeof value === "string") {
+        strings.add(this.normalize(value));
+      } else if (Array.isArray(value)) {
+        value.forEach((item) => walk(item, path));
+      } else if (typeof value === "object" && !(value instanceof Date)) {
+        Object.entries(value).forEach(([key, child]) =>
+          walk(child, path ? `${path}.${key}` : key)
+        );
+      }
+    };
+
+    (results || []).forEach((row) => walk(row, ""));
+
+    numbers.push((results || []).length);
+    columns.forEach((values) => {
+      const sum = values.reduce((total, v) => total + v, 0);
+      numbers.push(
+        sum,
+        sum / values.length,
+        Math.min(...values),
+        Math.max(...values),
+        values.length,
+        new Set(values).size
+      );
+    });
+    ENTITY_FIELDS.forEach((field) => {
+      const distinct = new Set(
+        (results || []).flatMap((row) => [].concat(row[field] || []))
+      );
+      if (distinct.size > 0) numbers.push(distinct.size);
+    });
+
+    if (statistics) walk(statistics, "statistics");
+
+    // Ratios are often quoted as percentages
+    numbers
+      .filter((v) => Math.abs(v) <= 1)
+      .forEach((v) => numbers.push(v * 100));
+
+    return { numbers: numbers.sort((a, b) => a - b), strings };
+  }
+
+  extractNumbers(text) {
+    // Numbered list markers aren't claims
+    const body = text.replace(/^\s*\d+[.)]\s+/, "");
+    const numbers = [];
+
+    for (const match of body.matchAll(NUMBER_PATTERN)) {
+      const raw = match[0];
+      const before = body.slice(0, match.index);
+      const after = body.slice(match.index + raw.length);
+      const percent = raw.endsWith("%");
+      const digits = raw.replace(/[,%]/g, "");
+      const value = parseFloat(digits);
+      if (Number.isNaN(value)) continue;
+
+      // Dates: ISO parts, years and "March 15"
+      if (/^[-/]\d/.test(after) || /\d[-/]$/.test(before)) continue;
+      if (!percent && /^\d{4}$/.test(digits) && value >= 1900 && value <= 2100) {
+        continue;
+      }
+      if (MONTHS.test(before)) continue;
+      if (SCALE_PREFIX.test(before)) continue;
+      if (!percent && Number.isInteger(value) && !digits.includes(".") && value <= TRIVIAL_INTEGER) {
+        continue;
+      }
+
+      const decimals = digits.includes(".") ? digits.split(".")[1].length : 0;
+      numbers.push({ raw, value, decimals, percent });
+    }
+
+    return numbers;
+  }
+
+  // A claim matches when some reference value rounds to it at the claim's precision
+  matchesNumber(number, reference) {
+    const tolerance = Math.max(
+      0.5 * 10 ** -number.decimals + 1e-9,
+      Math.abs(number.value) * 0.005
+    );
+    const low = number.value - tolerance;
+    const high = number.value + tolerance;
+
+    let lo = 0;
+    let hi = reference.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (reference[mid] < low) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo < reference.length && reference[lo] <= high;
+  }
+
+  getKnownEntities() {
+    const snapshot = schemaIntrospector.snapshot;
+    if (!snapshot) return [];
+
+    const entities = [];
+    ENTITY_FIELDS.forEach((field) => {
+      (snapshot.values[field] || []).forEach((value) => {
+        const normalized = this.normalize(value);
+        // Very short values ("AI", "A1") match too much ordinary text
+        if (normalized.length < 4) return;
+        entities.push({ field, value: String(value), normalized });
+      });
+    });
+    return entities;
+  }
+
+  // Sentences are returned as written, minus list bullets, so the frontend can find them
+  splitSentences(text) {
+    return text
+      .split("\n")
+      .flatMap((line) => line.split(/(?<!^\s*\d+\.)(?<=[.!?])\s+/))
+      .map((sentence) => sentence.trim().replace(/^[-*•]\s+/, ""))
+      .filter(Boolean);
+  }
+
+  mentions(text, normalizedEntity) {
+    return ` ${this.normalize(text)} `.includes(` ${normalizedEntity} `);
+  }
+
+  normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+}
+
+module.exports = new AnalysisVerifier();
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+
+// Persisted trace of every /api/query call, for debugging answers and usage reports
+class AuditService {
+  getCollection() {
+    return mongoService.getCollection("queryAudit");
+  }
+
+  // Mutable record filled in while the query runs; saved by record()
+  createTrace({ principal, query, conversationId, source }) {
+    return {
+      _id: crypto.randomUUID(),
+      user: principal
+        ? { id: principal.id, name: principal.name, role: principal.role }
+        : null,
+      query,
+      conversationId: conversationId || null,
+      source,
+      status: "pending",
+      error: null,
+      generatedPipeline: null,
+      attempts: [],
+      finalPipeline: null,
+      resultCount: null,
+      runId: null,
+      clarification: null,
+      cache: null,
+      analysis: null,
+      coverage: null,
+      latency: {},
+      llmUsage: [],
+      startedAt: Date.now(),
+    };
+  }
+
+  // Callback for the onUsage option of the query generator and result analyzer
+  usageRecorder(trace) {
+    return ({ stage, model, usage }) => {
+      trace.llmUsage.push({
+        stage,
+        model,
+        promptTokens: usage ? usage.prompt_tokens : null,
+        completionTokens: usage ? usage.completion_tokens : null,
+        totalTokens: usage ? usage.total_tokens : null,
+      });
+    };
+  }
+
+  // Run fn and store its duration as trace.latency[name] (milliseconds)
+  async timeStage(trace, name, fn) {
+    const start = Date.now();
+    try {
+      return await fn();
+    } finally {
+      trace.latency[name] = Date.now() - start;
+    }
+  }
+
+  // Never throws: a failed audit write must not fail the user's query
+  async record(trace) {
+    const { startedAt, ...record } = trace;
+    record.latency.totalMs = Date.now() - startedAt;
+    record.totalTokens = trace.llmUsage.reduce(
+      (sum, entry) => sum + (entry.totalTokens || 0),
+      0
+    );
+    record.createdAt = new Date(startedAt);
+
+    try {
+      await this.getCollection().insertOne(record);
+    } catch (error) {
+      console.error("❌ Failed to write audit record:", error.message);
+    }
+  }
+
+  // filters: { user, q, status, source, conversationId, from, to, failedAttempts }
+  buildFilter(filters = {}) {
+    const filter = {};
+
+    if (filters.user) filter["user.id"] = filters.user;
+    if (filters.status) filter.status = filters.status;
+    if (filters.source) filter.source = filters.source;
+    if (filters.conversationId) filter.conversationId = filters.conversationId;
+    if (filters.q) {
+      const escaped = filters.q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.query = { $regex: escaped, $options: "i" };
+    }
+    if (filters.from || filters.to) {
+      filter.createdAt = {};
+      if (filters.from) filter.createdAt.$gte = new Date(filters.from);
+      if (filters.to) filter.createdAt.$lte = new Date(filters.to);
+    }
+    // Only queries where at least one attempt failed (and needed fixing)
+    if (filters.failedAttempts) {
+      filter.attempts = { $elemMatch: { error: { $ne: null } } };
+    }
+
+    return filter;
+  }
+
+  async search(filters = {}, { limit = 50, skip = 0 } = {}) {
+    const filter = this.buildFilter(filters);
+
+    try {
+      const [records, total] = await Promise.all([
+        this.getCollection()
+          .find(filter, { projection: { analysis: 0 } })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .toArray(),
+        this.getCollection().countDocuments(filter),
+      ]);
+      return { records, total };
+    } catch (error) {
+      throw new Error(`Failed to search audit log: ${error.message}`);
+    }
+  }
+
+  async get(id) {
+    try {
+      return await this.getCollection().findOne({ _id: id });
+    } catch (error) {
+      throw new Error(`Failed to load audit record: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AuditService();
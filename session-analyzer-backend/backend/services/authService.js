@@ -0,0 +1,309 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoService = require("./mongoService");
+
+const ROLES = ["admin", "domain_lead", "instructor"];
+
+// Stages that read from another collection (or the same one again) and so need
+// the restriction applied inside them as well
+const SUBQUERY_STAGES = ["$lookup", "$graphLookup", "$unionWith"];
+
+// JWT secrets from examples and docs; anyone could sign tokens with them
+const PLACEHOLDER_SECRETS = ["change-me", "changeme", "secret", "your-secret", "jwt-secret"];
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+class AuthService {
+  constructor() {
+    this.jwtSecret = this.usableSecret(process.env.JWT_SECRET);
+    // Signs export download links. Serverless deployments must set it: the
+    // random fallback differs between instances
+    this.downloadSecret =
+      process.env.DOWNLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+    this.downloadTokenTtlSeconds =
+      parseInt(process.env.DOWNLOAD_TOKEN_TTL_SECONDS, 10) || 300;
+    // Only for local development: anonymous requests are treated as admin
+    this.authRequired = process.env.AUTH_REQUIRED !== "false";
+    this.corsOrigins = (process.env.CORS_ORIGINS || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+  }
+
+  getCollection() {
+    return mongoService.getCollection("apiKeys");
+  }
+
+  // Value for Access-Control-Allow-Origin; "*" unless CORS_ORIGINS is set
+  getAllowedOrigin(requestOrigin) {
+    if (this.corsOrigins.length === 0) return "*";
+    return this.corsOrigins.includes(requestOrigin) ? requestOrigin : null;
+  }
+
+  // JWT auth stays off without a secret, or with a placeholder copied from the example
+  usableSecret(secret) {
+    if (!secret) return null;
+    if (PLACEHOLDER_SECRETS.includes(secret.trim().toLowerCase())) {
+      console.error("⚠️ JWT_SECRET is a placeholder, JWT authentication is disabled");
+      return null;
+    }
+    return secret;
+  }
+
+  // Token from "Authorization: Bearer" or "X-API-Key". Never from the query string,
+  // where it would end up in logs and browser history (see createDownloadToken)
+  getToken(req) {
+    const header = req.headers.authorization || "";
+    if (header.toLowerCase().startsWith("bearer ")) {
+      return header.slice(7).trim();
+    }
+    return req.headers["x-api-key"] || null;
+  }
+
+  // Short-lived token for the export links of one run, which can't send headers.
+  // It carries the principal so the export is restricted like the original request
+  createDownloadToken(principal, runId) {
+    const expiresAt = new Date(Date.now() + this.downloadTokenTtlSeconds * 1000);
+    const payload = Buffer.from(
+      JSON.stringify({
+        runId,
+        exp: expiresAt.getTime(),
+        principal: {
+          id: principal.id,
+          name: principal.name,
+          role: principal.role,
+          domain: principal.domain,
+          instructor: principal.instructor,
+        },
+      })
+    ).toString("base64url");
+    return { token: `${payload}.${this.signDownload(payload)}`, expiresAt };
+  }
+
+  // Returns the principal of a download token issued for runId
+  verifyDownloadToken(token, runId) {
+    const [payload, signature] = String(token).split(".");
+    const expected = Buffer.from(this.signDownload(payload || ""));
+    // timingSafeEqual needs equal byte lengths, which equal string lengths don't ensure
+    const given = Buffer.from(signature || "");
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      throw new AuthError("Invalid download token");
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (claims.runId !== runId) {
+      throw new AuthError("Download token is for another run", 403);
+    }
+    if (claims.exp < Date.now()) {
+      throw new AuthError("Download link has expired, export the results again");
+    }
+    this.assertValidPrincipal(claims.principal);
+    return claims.principal;
+  }
+
+  signDownload(payload) {
+    return crypto.createHmac("sha256", this.downloadSecret).update(payload).digest("base64url");
+  }
+
+  async authenticateRequest(req) {
+    const token = this.getToken(req);
+    if (!token) {
+      if (!this.authRequired) {
+        return { id: "anonymous", name: "Anonymous", role: "admin" };
+      }
+      throw new AuthError("Authentication required");
+    }
+
+    const principal = token.split(".").length === 3
+      ? this.verifyJwt(token)
+      : await this.verifyApiKey(token);
+    this.assertValidPrincipal(principal);
+    return principal;
+  }
+
+  // JWT claims: sub, name, role, domain (domain leads), instructor (instructors)
+  verifyJwt(token) {
+    if (!this.jwtSecret) {
+      throw new AuthError("JWT authentication is not configured");
+    }
+
+    try {
+      const claims = jwt.verify(token, this.jwtSecret, { algorithms: ["HS256"] });
+      return {
+        id: claims.sub,
+        name: claims.name || claims.sub,
+        role: claims.role,
+        domain: claims.domain,
+        instructor: claims.instructor,
+      };
+    } catch (error) {
+      throw new AuthError(`Invalid token: ${error.message}`);
+    }
+  }
+
+  async verifyApiKey(key) {
+    await mongoService.connect();
+
+    const record = await this.getCollection().findOneAndUpdate(
+      { keyHash: this.hashKey(key), revokedAt: null },
+      { $set: { lastUsedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!record) {
+      throw new AuthError("Invalid API key");
+    }
+
+    return {
+      id: record._id,
+      name: record.name,
+      role: record.role,
+      domain: record.domain,
+      instructor: record.instructor,
+    };
+  }
+
+  assertValidPrincipal(principal) {
+    if (!ROLES.includes(principal.role)) {
+      throw new AuthError(`Unknown role "${principal.role}"`, 403);
+    }
+    if (principal.role === "domain_lead" && !principal.domain) {
+      throw new AuthError("Domain lead credentials must name a domain", 403);
+    }
+    if (principal.role === "instructor" && !principal.instructor) {
+      throw new AuthError("Instructor credentials must name an instructor", 403);
+    }
+  }
+
+  assertRole(principal, ...roles) {
+    if (!principal || !roles.includes(principal.role)) {
+      throw new AuthError("You do not have access to this endpoint", 403);
+    }
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  // Returns the plain key once; only its hash is stored
+  async createApiKey({ name, role, domain, instructor }) {
+    const record = {
+      _id: crypto.randomUUID(),
+      name,
+      role,
+      domain: role === "domain_lead" ? domain : undefined,
+      instructor: role === "instructor" ? instructor : undefined,
+    };
+    this.assertValidPrincipal(record);
+
+    const key = `sa_${crypto.randomBytes(24).toString("hex")}`;
+    try {
+      await this.getCollection().insertOne({
+        ...record,
+        keyHash: this.hashKey(key),
+        createdAt: new Date(),
+        lastUsedAt: null,
+        revokedAt: null,
+      });
+    } catch (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+
+    return { key, ...record };
+  }
+
+  // Row filter every pipeline must start with; null means unrestricted
+  getScope(principal) {
+    if (!principal) return null;
+    switch (principal.role) {
+      case "domain_lead":
+        return { domain: principal.domain };
+      case "instructor":
+        return { instructor: principal.instructor };
+      default:
+        return null;
+    }
+  }
+
+  // Whether a principal may see data produced under the given scope
+  canAccess(principal, scope) {
+    const ownScope = this.getScope(principal);
+    if (!ownScope) return true;
+    return JSON.stringify(ownScope) === JSON.stringify(scope || null);
+  }
+
+  // Prepend the mandatory $match and restrict every stage that reads sessions again.
+  // Idempotent, so a fixed pipeline that echoes the restriction isn't filtered twice
+  applyScope(pipeline, scope) {
+    if (!scope || !Array.isArray(pipeline)) return pipeline;
+
+    const scopeStage = { $match: { ...scope } };
+    const rest =
+      pipeline.length > 0 && JSON.stringify(pipeline[0]) === JSON.stringify(scopeStage)
+        ? pipeline.slice(1)
+        : pipeline;
+    return [scopeStage, ...this.scopeSubqueries(rest, scope)];
+  }
+
+  // Inverse of applyScope for the head stage, e.g. before sharing a pipeline as an example
+  stripScope(pipeline, scope) {
+    if (!scope || !Array.isArray(pipeline) || pipeline.length === 0) return pipeline;
+    return JSON.stringify(pipeline[0]) === JSON.stringify({ $match: scope })
+      ? pipeline.slice(1)
+      : pipeline;
+  }
+
+  scopeSubqueries(pipeline, scope) {
+    return pipeline.map((stage) => {
+      if (!stage || typeof stage !== "object") return stage;
+      const operator = Object.keys(stage)[0];
+      const body = stage[operator];
+
+      if (operator === "$facet") {
+        const facet = {};
+        Object.entries(body || {}).forEach(([name, subPipeline]) => {
+          facet[name] = Array.isArray(subPipeline)
+            ? this.scopeSubqueries(subPipeline, scope)
+            : subPipeline;
+        });
+        return { $facet: facet };
+      }
+
+      if (!SUBQUERY_STAGES.includes(operator)) return stage;
+
+      if (operator === "$graphLookup") {
+        const restrict = body.restrictSearchWithMatch;
+        const alreadyScoped =
+          !restrict || JSON.stringify(restrict) === JSON.stringify(scope);
+        return {
+          $graphLookup: {
+            ...body,
+            restrictSearchWithMatch: alreadyScoped
+              ? { ...scope }
+              : { $and: [restrict, scope] },
+          },
+        };
+      }
+
+      // $lookup and $unionWith accept a sub-pipeline (string form is the collection name)
+      const spec = typeof body === "string" ? { coll: body } : body;
+      return {
+        [operator]: {
+          ...spec,
+          pipeline: this.applyScope(spec.pipeline || [], scope),
+        },
+      };
+    });
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+
+// Process-local store; entries vanish on restart and aren't shared between instances.
+// Values are copied in and out so callers can't change a cached pipeline in place
+class MemoryStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so the least recently used entry is always first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// Shared between server instances (and serverless invocations) through MongoDB
+class MongoStore {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  getCollection() {
+    return mongoService.getCollection("queryCache");
+  }
+
+  ensureIndexes() {
+    if (!this.indexesReady) {
+      this.indexesReady = this.getCollection()
+        .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        .catch((error) => {
+          this.indexesReady = null;
+          throw error;
+        });
+    }
+    return this.indexesReady;
+  }
+
+  async get(key) {
+    const entry = await this.getCollection().findOne({
+      _id: key,
+      expiresAt: { $gt: new Date() },
+    });
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.ensureIndexes();
+    await this.getCollection().replaceOne(
+      { _id: key },
+      { _id: key, value, expiresAt: new Date(Date.now() + ttlSeconds * 1000) },
+      { upsert: true }
+    );
+  }
+
+  async clear() {
+    await this.getCollection().deleteMany({});
+  }
+}
+
+// Two-level query cache:
+// 1. normalized question (+ scope and resolved dates) -> generated pipeline
+// 2. pipeline hash -> results and the analysis written for them
+// Entries carry the sessions data version and are ignored once the data changes
+class CacheService {
+  constructor() {
+    this.enabled = process.env.QUERY_CACHE_ENABLED !== "false";
+    this.pipelineTtlSeconds =
+      parseInt(process.env.QUERY_CACHE_PIPELINE_TTL_SECONDS, 10) || 86400;
+    this.resultTtlSeconds =
+      parseInt(process.env.QUERY_CACHE_RESULT_TTL_SECONDS, 10) || 3600;
+    // Results larger than this are not worth keeping (and may not fit a document)
+    this.maxResultBytes =
+      parseInt(process.env.QUERY_CACHE_MAX_RESULT_BYTES, 10) || 4 * 1024 * 1024;
+    this.versionCheckMs =
+      parseInt(process.env.QUERY_CACHE_VERSION_CHECK_MS, 10) || 30000;
+    this.store =
+      process.env.QUERY_CACHE_STORE === "mongo"
+        ? new MongoStore()
+        : new MemoryStore(parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || 500);
+    this.dataVersion = null;
+    this.dataVersionCheckedAt = 0;
+  }
+
+  normalizeQuestion(question) {
+    return String(question)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  hash(text) {
+    return crypto.createHash("sha256").update(text).digest("hex");
+  }
+
+  // Dates are tagged so a Date and an ISO string never share a key
+  hashPipeline(pipeline) {
+    return this.hash(
+      JSON.stringify(pipeline, function (key, value) {
+        const raw = this[key];
+        return raw instanceof Date ? { $date: raw.toISOString() } : value;
+      })
+    );
+  }
+
+  questionKey(question) {
+    return this.hash(this.normalizeQuestion(question));
+  }
+
+  // The pipeline for a question depends on who asks it and on what "last month" means today
+  pipelineKey(question, scope, dates) {
+    const ranges = dates
+      ? dates.ranges.map((r) => `${r.expression}=${r.start.toISOString()}/${r.end.toISOString()}`)
+      : [];
+    return `pipeline:${this.hash(
+      JSON.stringify([this.normalizeQuestion(question), scope || null, ranges])
+    )}`;
+  }
+
+  resultKey(pipeline) {
+    return `results:${this.hashPipeline(pipeline)}`;
+  }
+
+  // Changes whenever sessions are imported or updated, checked at most every versionCheckMs
+  async getDataVersion() {
+    if (this.dataVersion && Date.now() - this.dataVersionCheckedAt < this.versionCheckMs) {
+      return this.dataVersion;
+    }
+
+    const { count, lastSyncedAt, updatedAt } = await mongoService.getDataVersion();
+    this.dataVersion = [
+      count,
+      lastSyncedAt ? new Date(lastSyncedAt).getTime() : 0,
+      updatedAt ? new Date(updatedAt).getTime() : 0,
+    ].join(":");
+    this.dataVersionCheckedAt = Date.now();
+    return this.dataVersion;
+  }
+
+  // A cache problem must never fail the query, so lookups miss and writes are skipped
+  async read(key) {
+    if (!this.enabled) return null;
+    try {
+      const entry = await this.store.get(key);
+      if (!entry) return null;
+      return entry.dataVersion === (await this.getDataVersion()) ? entry : null;
+    } catch (error) {
+      console.error("⚠️ Cache lookup failed:", error.message);
+      return null;
+    }
+  }
+
+  async write(key, value, ttlSeconds) {
+    if (!this.enabled) return;
+    try {
+      const dataVersion = await this.getDataVersion();
+      await this.store.set(key, { ...value, dataVersion }, ttlSeconds);
+    } catch (error) {
+      console.error("⚠️ Cache write failed:", error.message);
+    }
+  }
+
+  // Returns { pipeline, entities } or null
+  async getPipeline(question, scope, dates) {
+    return this.read(this.pipelineKey(question, scope, dates));
+  }
+
+  async setPipeline(question, scope, dates, { pipeline, entities }) {
+    await this.write(
+      this.pipelineKey(question, scope, dates),
+      { pipeline, entities },
+      this.pipelineTtlSeconds
+    );
+  }
+
+  // Returns { pipeline, results, questionKey, analysis, verification, coverage } or null;
+  // pipeline is the one that ran, which differs from the key when it had to be fixed
+  async getResults(pipeline) {
+    return this.read(this.resultKey(pipeline));
+  }
+
+  async setResults(pipeline, entry) {
+    if (Buffer.byteLength(JSON.stringify(entry.results)) > this.maxResultBytes) return;
+    await this.write(this.resultKey(pipeline), entry, this.resultTtlSeconds);
+  }
+
+  // Called after imports so new data is visible right away, not after the next version check
+  async invalidate() {
+    this.dataVersion = null;
+    try {
+      await this.store.clear();
+      console.log("🧹 Query cache cleared");
+    } catch (error) {
+      console.error("⚠️ Clearing the query cache failed:", error.message);
+    }
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+const resultAnalyzer = require("./resultAnalyzer");
+
+class ConversationService {
+  constructor() {
+    // Number of previous turns passed to the LLM for follow-up questions
+    this.historyWindow =
+      parseInt(process.env.CONVERSATION_HISTORY_WINDOW, 10) || 5;
+    // Analysis text is trimmed to this length when stored as a turn summary
+    this.summaryLength = 600;
+  }
+
+  getCollection() {
+    return mongoService.getCollection("conversations");
+  }
+
+  createConversationId() {
+    return crypto.randomUUID();
+  }
+
+  // Returns the last `historyWindow` turns, oldest first.
+  // Conversations are private: another owner's id yields no history
+  async getHistory(conversationId, ownerId = null) {
+    if (!conversationId) return [];
+
+    try {
+      const conversation = await this.getCollection().findOne(
+        { _id: conversationId, ownerId },
+        { projection: { turns: { $slice: -this.historyWindow } } }
+      );
+      return conversation ? conversation.turns : [];
+    } catch (error) {
+      throw new Error(`Failed to load conversation: ${error.message}`);
+    }
+  }
+
+  // False when the id belongs to another owner's conversation; ids that aren't
+  // in use yet are free to start a conversation with
+  async isAvailable(conversationId, ownerId = null) {
+    try {
+      const conversation = await this.getCollection().findOne(
+        { _id: conversationId },
+        { projection: { ownerId: 1 } }
+      );
+      return !conversation || conversation.ownerId === ownerId;
+    } catch (error) {
+      throw new Error(`Failed to load conversation: ${error.message}`);
+    }
+  }
+
+  async getConversation(conversationId) {
+    try {
+      return await this.getCollection().findOne({ _id: conversationId });
+    } catch (error) {
+      throw new Error(`Failed to load conversation: ${error.message}`);
+    }
+  }
+
+  async appendTurn(conversationId, turn, ownerId = null) {
+    const now = new Date();
+
+    try {
+      await this.getCollection().updateOne(
+        { _id: conversationId, ownerId },
+        {
+          $push: {
+            turns: {
+              question: turn.question,
+              pipeline: turn.pipeline,
+              resultCount: turn.resultCount,
+              summary: this.summarize(turn.analysis),
+              createdAt: now,
+            },
+          },
+          $set: { updatedAt: now },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to save conversation turn: ${error.message}`);
+    }
+  }
+
+  summarize(analysis) {
+    const text = resultAnalyzer.toText(analysis);
+    return text.length > this.summaryLength
+      ? `${text.slice(0, this.summaryLength)}...`
+      : text;
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,102 @@
+const schemaIntrospector = require("./schemaIntrospector");
+const dateResolver = require("./dateResolver");
+
+// Used until the schema has been introspected
+const DEFAULT_DATE_FIELDS = ["sessionDate", "createdAt", "updatedAt", "metadata.lastSyncedAt"];
+
+const ISO_DATE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Generated pipelines often compare Date fields with strings, which never match
+// in MongoDB. This walks a pipeline and turns date literals into real Dates:
+// { "$date": "..." } anywhere, and ISO strings compared with a known date field
+class DateNormalizer {
+  getDateFields() {
+    const snapshot = schemaIntrospector.snapshot;
+    if (!snapshot) return DEFAULT_DATE_FIELDS;
+
+    const fields = [];
+    const collect = (structure, prefix) => {
+      Object.entries(structure).forEach(([key, type]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (type === "Date") fields.push(path);
+        else if (type && typeof type === "object") collect(type, path);
+      });
+    };
+    collect(snapshot.structure, "");
+    return fields.length > 0 ? fields : DEFAULT_DATE_FIELDS;
+  }
+
+  // Returns a new pipeline; anything that isn't a date literal is left untouched
+  normalize(pipeline) {
+    if (!Array.isArray(pipeline)) return pipeline;
+    const dateFields = new Set(this.getDateFields());
+    return this.walk(pipeline, dateFields, false);
+  }
+
+  // dateContext: the value is compared with a date field, so ISO strings are dates
+  walk(value, dateFields, dateContext) {
+    if (typeof value === "string") {
+      return dateContext ? this.toDate(value) || value : value;
+    }
+    if (Array.isArray(value)) {
+      // Expression comparisons: { $gte: ["$sessionDate", "2024-01-01"] }
+      const comparesDateField = value.some(
+        (item) =>
+          typeof item === "string" && item.startsWith("$") && dateFields.has(item.slice(1))
+      );
+      return value.map((item) => this.walk(item, dateFields, dateContext || comparesDateField));
+    }
+    if (!value || typeof value !== "object" || value instanceof Date || value._bsontype) {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === "$date") {
+      return this.toDate(value.$date) || value;
+    }
+
+    const result = {};
+    keys.forEach((key) => {
+      result[key] = this.walk(
+        value[key],
+        dateFields,
+        // Operators like $gte/$in keep the context of the field they belong to
+        dateFields.has(key) || (dateContext && key.startsWith("$"))
+      );
+    });
+    return result;
+  }
+
+  // ISO 8601 strings without an offset are read in the configured timezone
+  toDate(value) {
+    if (typeof value === "number") return new Date(value);
+    if (typeof value !== "string") {
+      // Extended JSON: { "$date": { "$numberLong": "..." } }
+      if (value && typeof value.$numberLong === "string") {
+        return new Date(Number(value.$numberLong));
+      }
+      return null;
+    }
+
+    const match = value.trim().match(ISO_DATE);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, ms, offset] = match;
+    if (offset) {
+      const date = new Date(value.trim().replace(" ", "T"));
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    return dateResolver.zonedTime(
+      Number(year),
+      Number(month),
+      Number(day),
+      Number(hour || 0),
+      Number(minute || 0),
+      Number(second || 0),
+      Number((ms || "0").padEnd(3, "0"))
+    );
+  }
+}
+
+module.exports = new DateNormalizer();
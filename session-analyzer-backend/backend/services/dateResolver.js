@@ -0,0 +1,320 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CALENDAR_PATH = path.join(__dirname, "../config/academicCalendar.json");
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december",
+];
+const MONTH_PATTERN = `(${MONTHS.map((m) => `${m}|${m.slice(0, 3)}`).join("|")})`;
+const UNIT_MONTHS = { month: 1, quarter: 3, year: 12 };
+
+// Turns relative time expressions ("last quarter", "this semester", "past 30 days")
+// into concrete ranges in the configured timezone, so the query generator
+// doesn't have to guess what today is
+class DateResolver {
+  constructor() {
+    this.calendar = null;
+  }
+
+  loadCalendar() {
+    if (!this.calendar) {
+      const raw = JSON.parse(
+        fs.readFileSync(process.env.ACADEMIC_CALENDAR_PATH || DEFAULT_CALENDAR_PATH, "utf8")
+      );
+      let timezone = process.env.DATE_TIMEZONE || raw.timezone || "UTC";
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      } catch (error) {
+        console.error(`⚠️ Unknown timezone "${timezone}", using UTC`);
+        timezone = "UTC";
+      }
+      this.calendar = {
+        timezone,
+        weekStartsOn: raw.weekStartsOn === undefined ? 1 : raw.weekStartsOn,
+        academicYearStartMonth: raw.academicYearStartMonth || 1,
+        terms: (raw.terms || []).map((term) => {
+          const [startMonth, startDay] = term.start.split("-").map(Number);
+          const [endMonth, endDay] = term.end.split("-").map(Number);
+          return { name: term.name, startMonth, startDay, endMonth, endDay };
+        }),
+      };
+    }
+    return this.calendar;
+  }
+
+  get timezone() {
+    return this.loadCalendar().timezone;
+  }
+
+  // Returns { today, timezone, ranges } where each range is
+  // { expression, from, to, start, end }: from/to are inclusive local days,
+  // start/end the matching [start, end) instants
+  resolve(question, now = new Date()) {
+    const calendar = this.loadCalendar();
+    const today = this.localToday(now);
+    const text = String(question).toLowerCase();
+    const matches = [];
+    const taken = [];
+
+    this.patterns(calendar).forEach(({ pattern, range }) => {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (taken.some(([s, e]) => start < e && end > s)) continue;
+
+        const result = range(match, today, calendar);
+        if (!result) continue;
+        taken.push([start, end]);
+        matches.push({ index: start, expression: match[0], ...result });
+      }
+    });
+
+    return {
+      today: this.formatDay(today),
+      timezone: calendar.timezone,
+      ranges: matches
+        .sort((a, b) => a.index - b.index)
+        .map(({ expression, from, until }) => ({
+          expression,
+          from: this.formatDay(from),
+          to: this.formatDay(this.addDays(until, -1)),
+          start: this.zonedTime(from.year, from.month, from.day),
+          end: this.zonedTime(until.year, until.month, until.day),
+        })),
+    };
+  }
+
+  // Most specific patterns first; a span matched once isn't matched again
+  patterns(calendar) {
+    const termNames = calendar.terms.map((t) => t.name.toLowerCase()).join("|");
+    return [
+      {
+        pattern: /\b(?:last|past|previous)\s+(\d+)\s+(day|week|month|quarter|year)s?\b/g,
+        range: (m, today) => this.rolling(today, parseInt(m[1], 10), m[2]),
+      },
+      {
+        pattern: /\bpast\s+(day|week|month|quarter|year)\b/g,
+        range: (m, today) => this.rolling(today, 1, m[1]),
+      },
+      {
+        pattern: /\b(this|current|last|previous|next)\s+academic\s+year\b/g,
+        range: (m, today, cal) => this.academicYear(today, cal, this.shift(m[1])),
+      },
+      {
+        pattern: /\b(this|current|last|previous|next)\s+(?:semester|term)\b/g,
+        range: (m, today, cal) => this.relativeTerm(today, cal, this.shift(m[1])),
+      },
+      {
+        pattern: /\b(this|current|last|previous|next)\s+(week|month|quarter|year)\b/g,
+        range: (m, today, cal) => this.period(today, cal, m[2], this.shift(m[1])),
+      },
+      // Named terms of a given year: "fall 2024", "spring semester 2025"
+      ...(termNames
+        ? [
+            {
+              pattern: new RegExp(
+                `\\b(${termNames})\\s+(?:term\\s+|semester\\s+)?(\\d{4})\\b`,
+                "g"
+              ),
+              range: (m, today, cal) => {
+                const term = cal.terms.find((t) => t.name.toLowerCase() === m[1]);
+                return this.termInstance(term, parseInt(m[2], 10));
+              },
+            },
+          ]
+        : []),
+      {
+        pattern: /\b(today|yesterday)\b/g,
+        range: (m, today) => {
+          const from = m[1] === "today" ? today : this.addDays(today, -1);
+          return { from, until: this.addDays(from, 1) };
+        },
+      },
+      {
+        pattern: /\b(?:year to date|ytd)\b/g,
+        range: (m, today) => ({
+          from: this.day(today.year, 1, 1),
+          until: this.addDays(today, 1),
+        }),
+      },
+      {
+        pattern: /\bq([1-4])\s*(?:of\s+)?(\d{4})\b/g,
+        range: (m) => this.quarterOf(parseInt(m[2], 10), parseInt(m[1], 10)),
+      },
+      {
+        pattern: /\b(\d{4})\s*q([1-4])\b/g,
+        range: (m) => this.quarterOf(parseInt(m[1], 10), parseInt(m[2], 10)),
+      },
+      {
+        pattern: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{4})\\b`, "g"),
+        range: (m) => {
+          const month = MONTHS.findIndex((name) => name.startsWith(m[1])) + 1;
+          const from = this.day(parseInt(m[2], 10), month, 1);
+          return { from, until: this.addMonths(from, 1) };
+        },
+      },
+      {
+        pattern: /\b(?:in|during|for|of|since)\s+(\d{4})\b/g,
+        range: (m, today) => {
+          const year = parseInt(m[1], 10);
+          if (year < 1900 || year > 2100) return null;
+          const from = this.day(year, 1, 1);
+          return {
+            from,
+            until: m[0].startsWith("since") ? this.addDays(today, 1) : this.day(year + 1, 1, 1),
+          };
+        },
+      },
+    ];
+  }
+
+  shift(word) {
+    if (word === "last" || word === "previous") return -1;
+    if (word === "next") return 1;
+    return 0;
+  }
+
+  // n units ending today, today included
+  rolling(today, n, unit) {
+    if (n < 1) return null;
+    const until = this.addDays(today, 1);
+    let from;
+    if (unit === "day") from = this.addDays(until, -n);
+    else if (unit === "week") from = this.addDays(until, -7 * n);
+    else from = this.addMonths(until, -UNIT_MONTHS[unit] * n);
+    return { from, until };
+  }
+
+  // Calendar week, month, quarter or year containing today, shifted by `shift`
+  period(today, calendar, unit, shift) {
+    if (unit === "week") {
+      const offset = (today.weekday - calendar.weekStartsOn + 7) % 7;
+      const from = this.addDays(today, -offset + 7 * shift);
+      return { from, until: this.addDays(from, 7) };
+    }
+
+    const months = UNIT_MONTHS[unit];
+    const startMonth = Math.floor((today.month - 1) / months) * months + 1;
+    const from = this.addMonths(this.day(today.year, startMonth, 1), months * shift);
+    return { from, until: this.addMonths(from, months) };
+  }
+
+  quarterOf(year, quarter) {
+    const from = this.day(year, (quarter - 1) * 3 + 1, 1);
+    return { from, until: this.addMonths(from, 3) };
+  }
+
+  academicYear(today, calendar, shift) {
+    const startMonth = calendar.academicYearStartMonth;
+    const year = today.month >= startMonth ? today.year : today.year - 1;
+    const from = this.day(year + shift, startMonth, 1);
+    return { from, until: this.addMonths(from, 12) };
+  }
+
+  // The term instance that starts in `year`; terms may run into the next year
+  termInstance(term, year) {
+    const from = this.day(year, term.startMonth, term.startDay);
+    const endYear =
+      term.endMonth * 100 + term.endDay < term.startMonth * 100 + term.startDay
+        ? year + 1
+        : year;
+    return { from, until: this.addDays(this.day(endYear, term.endMonth, term.endDay), 1) };
+  }
+
+  relativeTerm(today, calendar, shift) {
+    const instances = [];
+    [-2, -1, 0, 1].forEach((offset) => {
+      calendar.terms.forEach((term) => {
+        instances.push(this.termInstance(term, today.year + offset));
+      });
+    });
+    instances.sort((a, b) => this.compare(a.from, b.from));
+
+    let index = instances.findIndex(
+      (t) => this.compare(t.from, today) <= 0 && this.compare(today, t.until) < 0
+    );
+    if (index === -1) {
+      // Between terms: "last" is the one that just ended, "next" the one ahead
+      const nextIndex = instances.findIndex((t) => this.compare(t.from, today) > 0);
+      if (shift === 0 || nextIndex === -1) return null;
+      index = shift > 0 ? nextIndex - 1 : nextIndex;
+    }
+    return instances[index + shift] || null;
+  }
+
+  // Local calendar day of `now` in the configured timezone
+  localToday(now) {
+    const parts = this.zoneParts(now);
+    return this.day(parts.year, parts.month, parts.day);
+  }
+
+  zoneParts(date) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: this.timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .forEach((part) => {
+        if (part.type !== "literal") parts[part.type] = parseInt(part.value, 10);
+      });
+    return parts;
+  }
+
+  // Milliseconds the configured timezone is ahead of UTC at `instant`
+  zoneOffset(instant) {
+    const p = this.zoneParts(new Date(instant));
+    const local = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return local - (instant - (instant % 1000));
+  }
+
+  // The instant at which the wall clock in the configured timezone shows this time
+  zonedTime(year, month, day, hour = 0, minute = 0, second = 0, ms = 0) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    let instant = wallClock - this.zoneOffset(wallClock);
+    // The offset can differ on the other side of a DST change
+    const corrected = wallClock - this.zoneOffset(instant);
+    if (corrected !== instant) instant = corrected;
+    return new Date(instant);
+  }
+
+  // Days are { year, month, day, weekday } normalized through Date.UTC
+  day(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay(),
+    };
+  }
+
+  addDays(d, days) {
+    return this.day(d.year, d.month, d.day + days);
+  }
+
+  // Clamps to the end of shorter months: Mar 31 - 1 month is Feb 28/29
+  addMonths(d, months) {
+    const first = this.day(d.year, d.month + months, 1);
+    const lastDay = this.day(first.year, first.month + 1, 0).day;
+    return this.day(first.year, first.month, Math.min(d.day, lastDay));
+  }
+
+  compare(a, b) {
+    return (a.year - b.year) * 10000 + (a.month - b.month) * 100 + (a.day - b.day);
+  }
+
+  formatDay(d) {
+    return `${d.year}-${String(d.month).padStart(2, "0")}-${String(d.day).padStart(2, "0")}`;
+  }
+}
+
+module.exports = new DateResolver();
@@ -0,0 +1,204 @@
+const dns = require("dns").promises;
+const net = require("net");
+const nodemailer = require("nodemailer");
+const exportService = require("./exportService");
+
+// Sends report snapshots and alerts by SMTP email or generic webhook
+class DeliveryService {
+  constructor() {
+    this.transport = null;
+    this.webhookTimeoutMs =
+      parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    // Hosts non-admins may send webhooks to; they may also be internal addresses
+    this.allowedWebhookHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error("SMTP_HOST is not configured");
+      }
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    return this.transport;
+  }
+
+  async sendEmail({ to, subject, html, text, attachments }) {
+    try {
+      await this.getTransport().sendMail({
+        from: process.env.SMTP_FROM || "session-analyzer@localhost",
+        to,
+        subject,
+        html,
+        text,
+        attachments,
+      });
+    } catch (error) {
+      throw new Error(`Email delivery failed: ${error.message}`);
+    }
+  }
+
+  // Problem with a webhook URL the principal wants to use, or null when it is fine.
+  // Admins (and anonymous local development) may use any public host; everyone
+  // else only the hosts in WEBHOOK_ALLOWED_HOSTS
+  checkWebhookUrl(url, principal = null) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return "must be an http(s) URL";
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return "must be an http(s) URL";
+    }
+
+    const host = this.webhookHost(parsed);
+    if (this.allowedWebhookHosts.includes(host)) return null;
+    if (principal && principal.role !== "admin") {
+      return "host is not in the webhook allowlist (WEBHOOK_ALLOWED_HOSTS)";
+    }
+    if (host === "localhost" || host.endsWith(".localhost") || this.isPrivateAddress(host)) {
+      return "must not point to a private or local address";
+    }
+    return null;
+  }
+
+  webhookHost(parsed) {
+    return parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  }
+
+  // Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+  isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+      const [a, b] = address.split(".").map(Number);
+      return (
+        a === 0 ||
+        a === 10 ||
+        a === 127 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        a >= 224
+      );
+    }
+    if (net.isIPv6(address)) {
+      const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+      if (mapped) return this.isPrivateAddress(mapped[1]);
+      return (
+        address === "::" ||
+        address === "::1" ||
+        /^f[cd]/i.test(address) ||
+        /^fe[89ab]/i.test(address) ||
+        /^ff/i.test(address)
+      );
+    }
+    return false;
+  }
+
+  // Names are resolved before sending, so a public name pointing inside is refused too
+  async assertPublicHost(url) {
+    const host = this.webhookHost(new URL(url));
+    if (this.allowedWebhookHosts.includes(host)) return;
+
+    const addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.lookup(host, { all: true });
+    if (host === "localhost" || addresses.some((a) => this.isPrivateAddress(a.address))) {
+      throw new Error(`${host} resolves to a private or local address`);
+    }
+  }
+
+  async postWebhook(url, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.webhookTimeoutMs);
+
+    try {
+      await this.assertPublicHost(url);
+      // Redirects aren't followed: they could lead to an internal address
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+        redirect: "error",
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      throw new Error(`Webhook delivery failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Deliver a saved query snapshot to every configured channel; never throws
+  async deliverSnapshot(snapshot, delivery = {}) {
+    const outcomes = [];
+    const attempt = async (channel, target, send) => {
+      try {
+        await send();
+        outcomes.push({ channel, target, success: true });
+      } catch (error) {
+        console.error(`❌ ${channel} delivery to ${target} failed:`, error.message);
+        outcomes.push({ channel, target, success: false, error: error.message });
+      }
+    };
+
+    const run = {
+      question: snapshot.question,
+      createdAt: snapshot.createdAt,
+      pipeline: snapshot.pipeline,
+      analysis: snapshot.analysis,
+      visualization: snapshot.visualization,
+    };
+
+    if (delivery.email && delivery.email.length > 0) {
+      await attempt("email", delivery.email.join(", "), () =>
+        this.sendEmail({
+          to: delivery.email,
+          subject: `📊 ${snapshot.name} (${snapshot.resultCount} records)`,
+          html: exportService.toHTMLReport(run, snapshot.results),
+          attachments: [
+            {
+              filename: exportService.fileName(run, "csv"),
+              content: exportService.toCSV(snapshot.results),
+              contentType: "text/csv",
+            },
+          ],
+        })
+      );
+    }
+
+    if (delivery.webhookUrl) {
+      await attempt("webhook", delivery.webhookUrl, () =>
+        this.postWebhook(delivery.webhookUrl, {
+          event: "saved_query.snapshot",
+          savedQueryId: snapshot.savedQueryId,
+          snapshotId: snapshot._id,
+          name: snapshot.name,
+          question: snapshot.question,
+          resultCount: snapshot.resultCount,
+          analysis: snapshot.analysis,
+          results: snapshot.results,
+          createdAt: snapshot.createdAt,
+        })
+      );
+    }
+
+    return outcomes;
+  }
+}
+
+module.exports = new DeliveryService();
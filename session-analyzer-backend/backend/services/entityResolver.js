@@ -0,0 +1,289 @@
+const fs = require("fs");
+const path = require("path");
+const schemaIntrospector = require("./schemaIntrospector");
+
+const ENTITY_FIELDS = ["instructor", "domain", "class", "cohorts"];
+
+// Words that can't start or end an entity mention, so an alias or a name can't
+// be matched by an ordinary word ("what would be the average ...")
+const FUNCTION_WORDS = new Set([
+  "a", "about", "all", "an", "and", "any", "are", "as", "at", "be", "been",
+  "by", "can", "could", "did", "do", "does", "each", "for", "from", "give",
+  "had", "has", "have", "how", "if", "in", "is", "it", "last", "list", "me",
+  "my", "now", "of", "on", "only", "or", "our", "over", "per", "should",
+  "show", "than", "the", "this", "to", "vs", "was", "were", "what", "when",
+  "which", "who", "will", "with", "would",
+]);
+
+// Vocabulary of the questions themselves; a mention made only of these is ignored
+const GENERIC_WORDS = new Set([
+  "average", "avg", "best", "class", "classes", "cohort", "cohorts",
+  "compare", "count", "data", "domain", "domains", "instructor",
+  "instructors", "low", "month", "quarter", "rating", "ratings", "score",
+  "scores", "session", "sessions", "time", "top", "trend", "trends",
+  "worst", "year",
+]);
+
+const DEFAULT_ALIASES_PATH = path.join(__dirname, "../config/entityAliases.json");
+
+class EntityResolver {
+  constructor() {
+    this.minScore = parseFloat(process.env.ENTITY_MIN_SCORE) || 0.8;
+    // Candidates within this margin of the best match make a mention ambiguous
+    this.ambiguityMargin = 0.05;
+    this.maxMentionWords = 3;
+    this.aliases = null;
+  }
+
+  loadAliases() {
+    if (!this.aliases) {
+      const raw = JSON.parse(
+        fs.readFileSync(process.env.ENTITY_ALIASES_PATH || DEFAULT_ALIASES_PATH, "utf8")
+      );
+      this.aliases = {};
+      Object.entries(raw).forEach(([field, entries]) => {
+        this.aliases[field] = {};
+        Object.entries(entries).forEach(([alias, value]) => {
+          this.aliases[field][this.normalize(alias)] = value;
+        });
+      });
+    }
+    return this.aliases;
+  }
+
+  getKnownValues() {
+    const snapshot = schemaIntrospector.snapshot;
+    return snapshot ? snapshot.values : null;
+  }
+
+  normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  // Find entity mentions in the question before the query is generated
+  resolveMentions(question) {
+    const knownValues = this.getKnownValues();
+    const resolution = { resolved: [], ambiguous: [] };
+    if (!knownValues) return resolution;
+
+    const tokens = this.normalize(question).split(" ").filter(Boolean);
+    const consumed = new Array(tokens.length).fill(false);
+
+    // Longest mentions first so "rishi bollu" wins over "rishi"
+    for (let size = this.maxMentionWords; size >= 1; size--) {
+      for (let start = 0; start + size <= tokens.length; start++) {
+        const words = tokens.slice(start, start + size);
+        if (consumed.slice(start, start + size).some(Boolean)) continue;
+        if (FUNCTION_WORDS.has(words[0]) || FUNCTION_WORDS.has(words[words.length - 1])) continue;
+        if (
+          words.every(
+            (w) => GENERIC_WORDS.has(w) || FUNCTION_WORDS.has(w) || /^\d+$/.test(w) || w.length < 2
+          )
+        ) {
+          continue;
+        }
+
+        const mention = words.join(" ");
+        const match = this.matchMention(mention, knownValues);
+        if (!match) continue;
+
+        consumed.fill(true, start, start + size);
+        if (match.ambiguous) {
+          resolution.ambiguous.push(match);
+        } else {
+          resolution.resolved.push(match);
+        }
+      }
+    }
+
+    return resolution;
+  }
+
+  // Best canonical value for a mention across all entity fields
+  matchMention(mention, knownValues, fields = ENTITY_FIELDS) {
+    const aliases = this.loadAliases();
+    const candidates = [];
+
+    fields.forEach((field) => {
+      const alias = aliases[field] && aliases[field][this.normalize(mention)];
+      if (alias) {
+        candidates.push({ field, value: alias, score: 1 });
+        return;
+      }
+
+      (knownValues[field] || []).forEach((value) => {
+        const score = this.score(mention, value);
+        if (score >= this.minScore) {
+          candidates.push({ field, value, score });
+        }
+      });
+    });
+
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => b.score - a.score);
+    const best = candidates[0];
+    const close = candidates.filter(
+      (c) => best.score - c.score <= this.ambiguityMargin
+    );
+
+    if (close.length > 1 && best.score < 1) {
+      return {
+        mention,
+        ambiguous: true,
+        candidates: close.map(({ field, value, score }) => ({
+          field,
+          value,
+          score: Math.round(score * 100) / 100,
+        })),
+      };
+    }
+
+    return {
+      mention,
+      field: best.field,
+      value: best.value,
+      score: Math.round(best.score * 100) / 100,
+    };
+  }
+
+  // 1 for an exact match, otherwise the better of token overlap and edit similarity
+  score(mention, value) {
+    const a = this.normalize(mention);
+    const b = this.normalize(value);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    return Math.min(0.95, Math.max(this.tokenScore(a, b), this.similarity(a, b)));
+  }
+
+  // Every mention token must match a distinct value token (exact, prefix or typo)
+  tokenScore(mention, value) {
+    const mentionTokens = mention.split(" ");
+    const valueTokens = value.split(" ");
+    const used = new Set();
+
+    for (const token of mentionTokens) {
+      const index = valueTokens.findIndex(
+        (candidate, i) =>
+          !used.has(i) &&
+          (candidate === token ||
+            (token.length >= 3 && candidate.startsWith(token)) ||
+            (token.length >= 4 && this.similarity(token, candidate) >= 0.8))
+      );
+      if (index === -1) return 0;
+      used.add(index);
+    }
+
+    return 0.7 + 0.3 * (used.size / valueTokens.length);
+  }
+
+  similarity(a, b) {
+    return 1 - this.editDistance(a, b) / Math.max(a.length, b.length);
+  }
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Replace non-canonical entity literals in $match stages after generation
+  rewritePipeline(pipeline) {
+    const knownValues = this.getKnownValues();
+    const report = { rewrites: [], ambiguous: [] };
+    if (!knownValues || !Array.isArray(pipeline)) {
+      return { pipeline, ...report };
+    }
+
+    const rewritten = pipeline.map((stage) => {
+      if (stage && stage.$match) {
+        return { $match: this.rewriteFilter(stage.$match, knownValues, report) };
+      }
+      if (stage && stage.$facet) {
+        const facet = {};
+        Object.entries(stage.$facet).forEach(([name, subPipeline]) => {
+          const result = this.rewritePipeline(subPipeline);
+          report.rewrites.push(...result.rewrites);
+          report.ambiguous.push(...result.ambiguous);
+          facet[name] = result.pipeline;
+        });
+        return { $facet: facet };
+      }
+      return stage;
+    });
+
+    return { pipeline: rewritten, ...report };
+  }
+
+  rewriteFilter(filter, knownValues, report) {
+    if (!filter || typeof filter !== "object") return filter;
+
+    const result = {};
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (["$and", "$or", "$nor"].includes(key) && Array.isArray(condition)) {
+        result[key] = condition.map((c) => this.rewriteFilter(c, knownValues, report));
+      } else if (ENTITY_FIELDS.includes(key)) {
+        result[key] = this.rewriteCondition(key, condition, knownValues, report);
+      } else {
+        result[key] = condition;
+      }
+    });
+    return result;
+  }
+
+  rewriteCondition(field, condition, knownValues, report) {
+    if (typeof condition === "string") {
+      return this.canonicalValue(field, condition, knownValues, report);
+    }
+    if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+      return condition;
+    }
+
+    const result = {};
+    Object.entries(condition).forEach(([operator, operand]) => {
+      if (["$eq", "$ne"].includes(operator) && typeof operand === "string") {
+        result[operator] = this.canonicalValue(field, operand, knownValues, report);
+      } else if (["$in", "$nin", "$all"].includes(operator) && Array.isArray(operand)) {
+        result[operator] = operand.map((item) =>
+          typeof item === "string"
+            ? this.canonicalValue(field, item, knownValues, report)
+            : item
+        );
+      } else {
+        result[operator] = operand;
+      }
+    });
+    return result;
+  }
+
+  canonicalValue(field, literal, knownValues, report) {
+    if ((knownValues[field] || []).includes(literal)) return literal;
+
+    const match = this.matchMention(literal, knownValues, [field]);
+    if (!match) return literal;
+
+    if (match.ambiguous) {
+      report.ambiguous.push(match);
+      return literal;
+    }
+
+    report.rewrites.push({ field, from: literal, to: match.value });
+    return match.value;
+  }
+}
+
+module.exports = new EntityResolver();
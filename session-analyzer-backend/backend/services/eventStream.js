@@ -0,0 +1,38 @@
+// Thin Server-Sent Events writer over a Node/Express response
+class EventStream {
+  constructor(res, heartbeatMs = 15000) {
+    this.res = res;
+    this.closed = false;
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    // Stop nginx-style proxies from buffering the stream
+    res.setHeader("X-Accel-Buffering", "no");
+    if (res.flushHeaders) res.flushHeaders();
+
+    // Comment lines keep idle connections from being dropped by proxies
+    this.heartbeat = setInterval(() => this.write(": heartbeat\n\n"), heartbeatMs);
+    res.on("close", () => this.close());
+  }
+
+  write(chunk) {
+    if (this.closed) return;
+    this.res.write(chunk);
+    if (this.res.flush) this.res.flush();
+  }
+
+  send(event, data) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    this.res.end();
+  }
+}
+
+module.exports = EventStream;
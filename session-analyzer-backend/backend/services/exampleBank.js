@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+
+// Too common to say anything about what a question is asking for
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "did", "do",
+  "does", "for", "from", "give", "how", "i", "in", "is", "it", "me", "of",
+  "on", "or", "please", "show", "tell", "that", "the", "their", "there",
+  "this", "to", "was", "we", "were", "what", "which", "who", "with", "you",
+]);
+
+// Verified question -> pipeline pairs, retrieved by TF-IDF cosine similarity
+// and used as few-shot examples when generating new queries
+class ExampleBank {
+  constructor() {
+    this.maxExamples = parseInt(process.env.FEW_SHOT_EXAMPLES, 10) || 3;
+    this.minSimilarity = parseFloat(process.env.FEW_SHOT_MIN_SIMILARITY) || 0.2;
+    // Other instances may add examples, so the in-memory index expires
+    this.refreshIntervalMs =
+      parseInt(process.env.FEW_SHOT_REFRESH_INTERVAL_MS, 10) || 5 * 60 * 1000;
+    this.index = null;
+    this.loadedAt = 0;
+  }
+
+  getCollection() {
+    return mongoService.getCollection("queryExamples");
+  }
+
+  // Examples proposed by non-admins, used only once an admin approves them
+  getCandidateCollection() {
+    return mongoService.getCollection("exampleCandidates");
+  }
+
+  normalizeQuestion(question) {
+    return String(question).toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  tokenize(text) {
+    return String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token && !STOP_WORDS.has(token));
+  }
+
+  // One example per normalized question; a newer verification replaces the pipeline
+  async addExample({ question, pipeline, source, runId }) {
+    const now = new Date();
+    const normalizedQuestion = this.normalizeQuestion(question);
+
+    try {
+      await this.getCollection().updateOne(
+        { normalizedQuestion },
+        {
+          $set: { question, pipeline, source, runId: runId || null, updatedAt: now },
+          $setOnInsert: { _id: crypto.randomUUID(), createdAt: now },
+        },
+        { upsert: true }
+      );
+      this.index = null;
+    } catch (error) {
+      throw new Error(`Failed to store example: ${error.message}`);
+    }
+  }
+
+  async removeExample(id) {
+    try {
+      const result = await this.getCollection().deleteOne({ _id: id });
+      this.index = null;
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete example: ${error.message}`);
+    }
+  }
+
+  async addCandidate({ question, pipeline, source, runId, submittedBy }) {
+    const candidate = {
+      _id: crypto.randomUUID(),
+      question,
+      normalizedQuestion: this.normalizeQuestion(question),
+      pipeline,
+      source,
+      runId: runId || null,
+      submittedBy: submittedBy || null,
+      createdAt: new Date(),
+    };
+
+    try {
+      await this.getCandidateCollection().insertOne(candidate);
+      return candidate;
+    } catch (error) {
+      throw new Error(`Failed to store example candidate: ${error.message}`);
+    }
+  }
+
+  async listCandidates() {
+    try {
+      return await this.getCandidateCollection()
+        .find({})
+        .sort({ createdAt: -1 })
+        .toArray();
+    } catch (error) {
+      throw new Error(`Failed to list example candidates: ${error.message}`);
+    }
+  }
+
+  // Turns a candidate into a verified example; null when it doesn't exist
+  async approveCandidate(id) {
+    let candidate;
+    try {
+      candidate = await this.getCandidateCollection().findOne({ _id: id });
+    } catch (error) {
+      throw new Error(`Failed to load example candidate: ${error.message}`);
+    }
+    if (!candidate) return null;
+
+    await this.addExample(candidate);
+    await this.removeCandidate(id);
+    return candidate;
+  }
+
+  async removeCandidate(id) {
+    try {
+      const result = await this.getCandidateCollection().deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete example candidate: ${error.message}`);
+    }
+  }
+
+  // A wrong answer stops being a few-shot example: the verified example for the
+  // question goes back to the candidates when its pipeline is the one rated down
+  async demoteExample(question, pipeline) {
+    let example;
+    try {
+      example = await this.getCollection().findOne({
+        normalizedQuestion: this.normalizeQuestion(question),
+      });
+    } catch (error) {
+      throw new Error(`Failed to load example: ${error.message}`);
+    }
+    if (!example || JSON.stringify(example.pipeline) !== JSON.stringify(pipeline)) {
+      return false;
+    }
+
+    await this.addCandidate({
+      question: example.question,
+      pipeline: example.pipeline,
+      source: "demoted",
+      runId: example.runId,
+    });
+    return this.removeExample(example._id);
+  }
+
+  async listExamples() {
+    try {
+      return await this.getCollection().find({}).sort({ updatedAt: -1 }).toArray();
+    } catch (error) {
+      throw new Error(`Failed to list examples: ${error.message}`);
+    }
+  }
+
+  // Build document frequencies and a unit-length TF-IDF vector per example
+  async loadIndex() {
+    if (this.index && Date.now() - this.loadedAt < this.refreshIntervalMs) {
+      return this.index;
+    }
+
+    const examples = await this.listExamples();
+    const documentFrequency = new Map();
+    const tokenLists = examples.map((example) => {
+      const tokens = this.tokenize(example.question);
+      new Set(tokens).forEach((token) =>
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)
+      );
+      return tokens;
+    });
+
+    const idf = new Map();
+    documentFrequency.forEach((df, token) => {
+      idf.set(token, Math.log((1 + examples.length) / (1 + df)) + 1);
+    });
+
+    this.index = {
+      idf,
+      // Unseen query terms still get the highest weight
+      defaultIdf: Math.log(1 + examples.length) + 1,
+      entries: examples.map((example, i) => ({
+        example,
+        vector: this.vectorize(tokenLists[i], idf, 0),
+      })),
+    };
+    this.loadedAt = Date.now();
+    return this.index;
+  }
+
+  vectorize(tokens, idf, defaultIdf) {
+    const counts = new Map();
+    tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, token) => {
+      const weight = count * (idf.get(token) || defaultIdf);
+      vector.set(token, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) vector.forEach((weight, token) => vector.set(token, weight / norm));
+    return vector;
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    small.forEach((weight, token) => {
+      if (large.has(token)) dot += weight * large.get(token);
+    });
+    return dot;
+  }
+
+  // The most similar verified examples: [{ question, pipeline, similarity }]
+  async findSimilar(question, limit = this.maxExamples) {
+    const index = await this.loadIndex();
+    if (index.entries.length === 0) return [];
+
+    const queryVector = this.vectorize(
+      this.tokenize(question),
+      index.idf,
+      index.defaultIdf
+    );
+
+    return index.entries
+      .map(({ example, vector }) => ({
+        question: example.question,
+        pipeline: example.pipeline,
+        similarity: Math.round(this.cosine(queryVector, vector) * 1000) / 1000,
+      }))
+      .filter((match) => match.similarity >= this.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new ExampleBank();
@@ -0,0 +1,301 @@
+const XLSX = require("xlsx");
+const visualizationBuilder = require("./visualizationBuilder");
+const resultAnalyzer = require("./resultAnalyzer");
+
+const CHART_COLORS = ["#667eea", "#764ba2", "#38b2ac", "#ed8936"];
+const YES_NO_COLORS = ["#28a745", "#dc3545"];
+// Rows beyond this are left to the CSV/XLSX exports
+const MAX_REPORT_ROWS = 1000;
+
+class ExportService {
+  // Flatten nested documents into "ratings.overallAverage"-style columns
+  toFlatRows(results) {
+    return results.map((row) => {
+      const flat = visualizationBuilder.flatten(row);
+      Object.keys(flat).forEach((key) => {
+        flat[key] = this.cellValue(flat[key]);
+      });
+      return flat;
+    });
+  }
+
+  cellValue(value) {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map((v) => this.cellValue(v)).join(", ");
+    if (typeof value === "object") {
+      return value._bsontype ? value.toString() : JSON.stringify(value);
+    }
+    return value;
+  }
+
+  columnsFor(flatRows) {
+    const columns = [];
+    flatRows.forEach((row) => {
+      Object.keys(row).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+    return columns;
+  }
+
+  toCSV(results) {
+    const flatRows = this.toFlatRows(results);
+    const columns = this.columnsFor(flatRows);
+    const escape = (value) => {
+      // Spreadsheet apps run text starting with these as a formula; imported
+      // values are untrusted, so they are kept as text
+      const text =
+        typeof value === "string" && /^[=+\-@\t\r]/.test(value)
+          ? `'${value}`
+          : String(value === undefined ? "" : value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(escape).join(",")];
+    flatRows.forEach((row) => {
+      lines.push(columns.map((c) => escape(row[c])).join(","));
+    });
+    // BOM so Excel opens the file as UTF-8
+    return `\uFEFF${lines.join("\r\n")}\r\n`;
+  }
+
+  toXLSX(run, results) {
+    const flatRows = this.toFlatRows(results);
+    const workbook = XLSX.utils.book_new();
+
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(flatRows, { header: this.columnsFor(flatRows) }),
+      "Results"
+    );
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([
+        ["Question", run.question],
+        ["Generated at", run.createdAt.toISOString()],
+        ["Exported at", new Date().toISOString()],
+        ["Record count", results.length],
+        ["Pipeline", JSON.stringify(run.pipeline)],
+        ["Analysis", this.analysisText(run.analysis)],
+      ]),
+      "Query"
+    );
+
+    return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  }
+
+  analysisText(analysis) {
+    return resultAnalyzer.toText(analysis);
+  }
+
+  // Structured analyses get their own sections and tables; older runs stored plain text
+  analysisHTML(analysis) {
+    const esc = (text) => this.escapeHtml(text);
+    if (!analysis || typeof analysis === "string") {
+      return this.analysisText(analysis)
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => `<p>${esc(line)}</p>`)
+        .join("");
+    }
+
+    const list = (title, items) =>
+      items.length > 0
+        ? `<h3>${title}</h3><ul>${items.map((item) => `<li>${esc(item)}</li>`).join("")}</ul>`
+        : "";
+    const metrics =
+      analysis.metrics.length > 0
+        ? `<ul class="metrics">${analysis.metrics
+            .map(
+              (m) =>
+                `<li><strong>${esc(m.label)}:</strong> ${esc(m.value)}${
+                  m.context ? ` <span class="meta">(${esc(m.context)})</span>` : ""
+                }</li>`
+            )
+            .join("")}</ul>`
+        : "";
+    const tables = analysis.tables
+      .map(
+        (table) =>
+          `${table.title ? `<h3>${esc(table.title)}</h3>` : ""}<table><thead><tr>${table.columns
+            .map((c) => `<th>${esc(c)}</th>`)
+            .join("")}</tr></thead><tbody>${table.rows
+            .map((row) => `<tr>${row.map((cell) => `<td>${esc(cell)}</td>`).join("")}</tr>`)
+            .join("")}</tbody></table>`
+      )
+      .join("");
+
+    return `<p>${esc(analysis.answer)}</p>${metrics}${tables}${list(
+      "Patterns",
+      analysis.patterns
+    )}${list("Concerns", analysis.concerns)}${list("Recommendations", analysis.recommendations)}`;
+  }
+
+  // Self-contained printable report: no external scripts, styles or fonts
+  toHTMLReport(run, results) {
+    const flatRows = this.toFlatRows(results.slice(0, MAX_REPORT_ROWS));
+    const columns = this.columnsFor(flatRows);
+    const esc = (text) => this.escapeHtml(text);
+
+    const table = flatRows.length
+      ? `<table><thead><tr>${columns.map((c) => `<th>${esc(c)}</th>`).join("")}</tr></thead><tbody>${flatRows
+          .map((row) => `<tr>${columns.map((c) => `<td>${esc(row[c])}</td>`).join("")}</tr>`)
+          .join("")}</tbody></table>`
+      : "<p>No rows returned.</p>";
+
+    const truncatedNote =
+      results.length > MAX_REPORT_ROWS
+        ? `<p class="note">Showing the first ${MAX_REPORT_ROWS} of ${results.length} rows. Use the CSV or XLSX export for the full data.</p>`
+        : "";
+
+    const analysis = this.analysisHTML(run.analysis);
+
+    const chart =
+      run.visualization && run.visualization.type !== "none"
+        ? `<h2>Chart</h2>${this.renderChartSVG(run.visualization)}`
+        : "";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Session Rating Report - ${esc(run.question)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #333; max-width: 1000px; margin: 30px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { font-size: 1.6em; margin-bottom: 5px; }
+  h2 { font-size: 1.2em; margin-top: 30px; border-bottom: 2px solid #667eea; padding-bottom: 5px; }
+  h3 { font-size: 1em; margin: 15px 0 5px; }
+  .meta { color: #666; font-size: 14px; }
+  pre { background: #f8f9fa; padding: 15px; border-radius: 8px; white-space: pre-wrap; word-break: break-all; font-size: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #e1e5e9; padding: 5px 8px; text-align: left; }
+  th { background: #f8f9fa; }
+  .note { color: #744210; font-size: 13px; }
+  .print-btn { background: #667eea; color: white; border: none; padding: 8px 16px; border-radius: 8px; cursor: pointer; }
+  @media print { .print-btn { display: none; } body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">🖨️ Print / Save as PDF</button>
+<h1>${esc(run.question)}</h1>
+<div class="meta">
+  Query run: ${esc(run.createdAt.toISOString())} &middot;
+  Report generated: ${esc(new Date().toISOString())} &middot;
+  ${results.length} records
+</div>
+<h2>AI Analysis</h2>
+${analysis || "<p>No analysis available.</p>"}
+${chart}
+<h2>Results</h2>
+${truncatedNote}
+${table}
+<h2>MongoDB Pipeline</h2>
+<pre>${esc(JSON.stringify(run.pipeline, null, 2))}</pre>
+</body>
+</html>`;
+  }
+
+  // Minimal inline SVG rendering of a visualization spec (line, bar, stacked-bar)
+  renderChartSVG(spec) {
+    const width = 760;
+    const height = 340;
+    const margin = { top: 30, right: 20, bottom: 80, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const stacked = spec.type === "stacked-bar";
+    const colors = stacked ? YES_NO_COLORS : CHART_COLORS;
+    const count = spec.labels.length;
+
+    const values = stacked
+      ? spec.labels.map((_, i) => spec.datasets.reduce((sum, d) => sum + (d.data[i] || 0), 0))
+      : spec.datasets.flatMap((d) => d.data.filter((v) => v !== null));
+    const axis = spec.yAxis || {};
+    const min = axis.min !== undefined ? axis.min : Math.min(0, ...values);
+    const max = axis.max !== undefined ? axis.max : Math.max(...values, min + 1);
+    const y = (value) => margin.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+    const step = plotWidth / Math.max(count, 1);
+    const x = (i) => margin.left + step * i + step / 2;
+    const esc = (text) => this.escapeHtml(text);
+
+    const parts = [];
+
+    // Horizontal grid lines with value labels
+    for (let i = 0; i <= 4; i++) {
+      const value = min + ((max - min) * i) / 4;
+      parts.push(
+        `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e1e5e9" />`,
+        `<text x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11">${Math.round(value * 100) / 100}</text>`
+      );
+    }
+
+    if (spec.type === "line") {
+      spec.datasets.forEach((dataset, d) => {
+        const color = colors[d % colors.length];
+        const points = dataset.data
+          .map((value, i) => (value === null ? null : `${x(i)},${y(value)}`))
+          .filter(Boolean);
+        parts.push(`<polyline fill="none" stroke="${color}" stroke-width="2" points="${points.join(" ")}" />`);
+        points.forEach((point) => {
+          const [cx, cy] = point.split(",");
+          parts.push(`<circle cx="${cx}" cy="${cy}" r="3" fill="${color}" />`);
+        });
+      });
+    } else {
+      const groupWidth = step * 0.7;
+      const barWidth = stacked ? groupWidth : groupWidth / spec.datasets.length;
+      spec.labels.forEach((_, i) => {
+        let base = min;
+        spec.datasets.forEach((dataset, d) => {
+          const value = dataset.data[i] || 0;
+          const left = x(i) - groupWidth / 2 + (stacked ? 0 : barWidth * d);
+          const top = y(stacked ? base + value : value);
+          const bottom = y(stacked ? base : min);
+          parts.push(
+            `<rect x="${left}" y="${top}" width="${barWidth}" height="${Math.max(bottom - top, 0)}" fill="${colors[d % colors.length]}" />`
+          );
+          if (stacked) base += value;
+        });
+      });
+    }
+
+    // X labels, thinned out when there are many points
+    const every = Math.ceil(count / 20);
+    spec.labels.forEach((label, i) => {
+      if (i % every !== 0) return;
+      parts.push(
+        `<text x="${x(i)}" y="${height - margin.bottom + 14}" font-size="11" text-anchor="end" transform="rotate(-40 ${x(i)} ${height - margin.bottom + 14})">${esc(label)}</text>`
+      );
+    });
+
+    const legend = spec.datasets
+      .map(
+        (dataset, d) =>
+          `<rect x="${margin.left + d * 140}" y="8" width="12" height="12" fill="${colors[d % colors.length]}" /><text x="${margin.left + d * 140 + 18}" y="18" font-size="12">${esc(dataset.label)}</text>`
+      )
+      .join("");
+
+    return `<figure><svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 ${width} ${height}" font-family="sans-serif">${legend}${parts.join("")}</svg><figcaption>${esc(spec.title)}</figcaption></figure>`;
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? "" : text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Safe file name derived from the question
+  fileName(run, extension) {
+    const slug = run.question
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 60);
+    return `${slug || "query"}-${run.createdAt.toISOString().slice(0, 10)}.${extension}`;
+  }
+}
+
+module.exports = new ExportService();
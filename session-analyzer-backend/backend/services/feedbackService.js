@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+const queryRunService = require("./queryRunService");
+const pipelineValidator = require("./pipelineValidator");
+const authService = require("./authService");
+const exampleBank = require("./exampleBank");
+
+const RATINGS = ["up", "down"];
+
+class FeedbackService {
+  getCollection() {
+    return mongoService.getCollection("feedback");
+  }
+
+  // Returns a list of problems with the input; empty when it is valid
+  validateInput(input) {
+    const errors = [];
+
+    if (!input.runId) errors.push("runId is required");
+    if (input.rating !== undefined && !RATINGS.includes(input.rating)) {
+      errors.push('rating must be "up" or "down"');
+    }
+    if (input.rating === undefined && !input.correctedPipeline) {
+      errors.push("rating or correctedPipeline is required");
+    }
+    if (input.correctedPipeline) {
+      const validation = pipelineValidator.validate(input.correctedPipeline);
+      validation.errors.forEach((e) =>
+        errors.push(`correctedPipeline ${e.path}: ${e.message}`)
+      );
+    }
+
+    return errors;
+  }
+
+  // Drop what the server added to a run's pipeline (caller restriction, $limit cap)
+  // so the example only shows how the question itself was answered
+  toExamplePipeline(pipeline, scope) {
+    const stripped = authService.stripScope(pipeline, scope);
+    const last = stripped[stripped.length - 1];
+    return last && last.$limit === pipelineValidator.maxLimit
+      ? stripped.slice(0, -1)
+      : stripped;
+  }
+
+  // Thumbs up proposes the run's pipeline as an example, a correction the corrected one.
+  // Admins' proposals are verified at once; everyone else's wait for an admin as
+  // candidates, so they can't replace an existing example. Thumbs down demotes the
+  // example the run's pipeline came from.
+  // Returns null when the run doesn't exist or isn't visible to the principal
+  async submit(input, principal = null) {
+    const run = await queryRunService.getRun(input.runId);
+    if (!run || !authService.canAccess(principal, run.scope)) return null;
+
+    const feedback = {
+      _id: crypto.randomUUID(),
+      runId: run._id,
+      question: run.question,
+      rating: input.rating || null,
+      comment: input.comment ? String(input.comment).slice(0, 2000) : null,
+      correctedPipeline: input.correctedPipeline || null,
+      user: principal ? { id: principal.id, name: principal.name } : null,
+      // "verified", "candidate" or null when no example was proposed
+      example: null,
+      createdAt: new Date(),
+    };
+
+    let proposed = null;
+    if (feedback.correctedPipeline) {
+      proposed = {
+        pipeline: this.toExamplePipeline(feedback.correctedPipeline, run.scope),
+        source: "correction",
+      };
+    } else if (feedback.rating === "up") {
+      proposed = {
+        pipeline: this.toExamplePipeline(run.pipeline, run.scope),
+        source: "thumbs_up",
+      };
+    }
+    if (proposed) {
+      feedback.example = !principal || principal.role === "admin" ? "verified" : "candidate";
+    }
+
+    try {
+      await this.getCollection().insertOne(feedback);
+    } catch (error) {
+      throw new Error(`Failed to save feedback: ${error.message}`);
+    }
+
+    if (feedback.rating === "down") {
+      const demoted = await exampleBank.demoteExample(
+        run.question,
+        this.toExamplePipeline(run.pipeline, run.scope)
+      );
+      if (demoted) console.log(`👎 Demoted the example for "${run.question}"`);
+    }
+
+    if (feedback.example === "verified") {
+      await exampleBank.addExample({ question: run.question, ...proposed, runId: run._id });
+    } else if (feedback.example === "candidate") {
+      await exampleBank.addCandidate({
+        question: run.question,
+        ...proposed,
+        runId: run._id,
+        submittedBy: feedback.user,
+      });
+    }
+
+    return feedback;
+  }
+}
+
+module.exports = new FeedbackService();
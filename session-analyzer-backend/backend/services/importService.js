@@ -0,0 +1,448 @@
+const XLSX = require("xlsx");
+const mongoService = require("./mongoService");
+const alertService = require("./alertService");
+const cacheService = require("./cacheService");
+
+// Normalized sheet header -> field path and type in the sessions document
+const COLUMN_MAP = {
+  "topic code": { field: "topicCode", type: "string" },
+  topic: { field: "topicCode", type: "string" },
+  type: { field: "type", type: "string" },
+  "session type": { field: "type", type: "string" },
+  domain: { field: "domain", type: "string" },
+  class: { field: "class", type: "string" },
+  "class name": { field: "class", type: "string" },
+  course: { field: "class", type: "string" },
+  cohort: { field: "cohorts", type: "list" },
+  cohorts: { field: "cohorts", type: "list" },
+  instructor: { field: "instructor", type: "string" },
+  "instructor name": { field: "instructor", type: "string" },
+  date: { field: "sessionDate", type: "date" },
+  "session date": { field: "sessionDate", type: "date" },
+  "overall average": { field: "ratings.overallAverage", type: "number" },
+  "overall rating": { field: "ratings.overallAverage", type: "number" },
+  "average rating": { field: "ratings.overallAverage", type: "number" },
+  rating: { field: "ratings.overallAverage", type: "number" },
+  "total responses": { field: "ratings.totalResponses", type: "integer" },
+  responses: { field: "ratings.totalResponses", type: "integer" },
+  "students attended": { field: "ratings.studentsAttended", type: "integer" },
+  attended: { field: "ratings.studentsAttended", type: "integer" },
+  attendance: { field: "ratings.studentsAttended", type: "integer" },
+  "cohort strength": { field: "ratings.cohortStrength", type: "integer" },
+  strength: { field: "ratings.cohortStrength", type: "integer" },
+  "percent rated": { field: "ratings.percentRated", type: "percent" },
+  "rated percent": { field: "ratings.percentRated", type: "percent" },
+  "yes responses": { field: "ratings.yesResponses", type: "integer" },
+  yes: { field: "ratings.yesResponses", type: "integer" },
+  "no responses": { field: "ratings.noResponses", type: "integer" },
+  no: { field: "ratings.noResponses", type: "integer" },
+  "yes percent": { field: "ratings.yesPercent", type: "percent" },
+  "percent yes": { field: "ratings.yesPercent", type: "percent" },
+  "no percent": { field: "ratings.noPercent", type: "percent" },
+  "percent no": { field: "ratings.noPercent", type: "percent" },
+};
+
+const REQUIRED_FIELDS = ["instructor", "sessionDate"];
+
+const MONTHS = [
+  "jan", "feb", "mar", "apr", "may", "jun",
+  "jul", "aug", "sep", "oct", "nov", "dec",
+];
+
+class ImportService {
+  constructor() {
+    // Day-first (DMY) or month-first (MDY) for ambiguous dates like 03/04/2024
+    this.dateOrder = (process.env.IMPORT_DATE_ORDER || "DMY").toUpperCase();
+  }
+
+  // Import a CSV or XLSX buffer and return a per-row report
+  async importFile(buffer, options = {}) {
+    const format = this.detectFormat(buffer, options);
+    const sheets =
+      format === "xlsx"
+        ? this.readWorkbook(buffer, options.sheet)
+        : [
+            {
+              name: options.sheet || this.sheetNameFromFile(options.filename),
+              rows: this.parseCSV(buffer.toString("utf8")),
+            },
+          ];
+
+    // Check every sheet before anything is written, so a bad sheet later in the
+    // workbook can't leave the earlier ones half imported
+    const invalid = sheets
+      .map((sheet) => ({ name: sheet.name, missing: this.missingColumns(sheet.rows) }))
+      .filter((sheet) => sheet.missing.length > 0);
+    if (invalid.length > 0) {
+      throw new Error(
+        invalid
+          .map(
+            (sheet) =>
+              `Sheet "${sheet.name}" is missing required columns: ${sheet.missing.join(", ")}`
+          )
+          .join("; ")
+      );
+    }
+
+    const reports = [];
+    for (const sheet of sheets) {
+      reports.push(await this.importRows(sheet.name, sheet.rows, options));
+    }
+
+    return {
+      format,
+      dryRun: Boolean(options.dryRun),
+      totalRows: reports.reduce((sum, r) => sum + r.totalRows, 0),
+      inserted: reports.reduce((sum, r) => sum + r.inserted, 0),
+      updated: reports.reduce((sum, r) => sum + r.updated, 0),
+      skipped: reports.reduce((sum, r) => sum + r.skipped, 0),
+      sheets: reports,
+    };
+  }
+
+  detectFormat(buffer, options) {
+    const hint = (options.format || options.filename || "").toLowerCase();
+    if (hint.endsWith("xlsx") || hint.endsWith("xls")) return "xlsx";
+    if (hint.endsWith("csv")) return "csv";
+
+    // XLSX files are zip archives starting with "PK"
+    return buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b
+      ? "xlsx"
+      : "csv";
+  }
+
+  sheetNameFromFile(filename) {
+    if (!filename) return "upload";
+    return filename.replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+  }
+
+  readWorkbook(buffer, sheetName) {
+    const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true, cellNF: true });
+    const names = sheetName ? [sheetName] : workbook.SheetNames;
+
+    return names.map((name) => {
+      const worksheet = workbook.Sheets[name];
+      if (!worksheet) {
+        throw new Error(`Sheet "${name}" not found in workbook`);
+      }
+      this.markPercentCells(worksheet);
+      return {
+        name,
+        rows: XLSX.utils.sheet_to_json(worksheet, {
+          header: 1,
+          raw: true,
+          defval: "",
+          blankrows: true,
+        }),
+      };
+    });
+  }
+
+  // Percent-formatted cells store fractions (45% is 0.45). They are read as the text
+  // they display so that only they are scaled, never plain numbers like 0.5 or 1
+  markPercentCells(worksheet) {
+    Object.keys(worksheet).forEach((address) => {
+      const cell = worksheet[address];
+      if (address.startsWith("!") || cell.t !== "n" || !/%/.test(cell.z || "")) return;
+      cell.t = "s";
+      cell.v = `${this.round(cell.v * 100)}%`;
+    });
+  }
+
+  // Minimal RFC 4180 parser: quoted fields, escaped quotes, embedded newlines
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && input[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  normalizeHeader(header) {
+    return String(header)
+      .toLowerCase()
+      .replace(/%/g, " percent ")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  mapColumns(headerRow) {
+    return headerRow.map((h) => COLUMN_MAP[this.normalizeHeader(h)] || null);
+  }
+
+  // Required fields without a column in the sheet's header row
+  missingColumns(rows) {
+    if (rows.length === 0) return [];
+    const columns = this.mapColumns(rows[0]);
+    return REQUIRED_FIELDS.filter(
+      (field) => !columns.some((c) => c && c.field === field)
+    );
+  }
+
+  async importRows(sourceSheet, rows, options = {}) {
+    const report = {
+      sourceSheet,
+      totalRows: 0,
+      inserted: 0,
+      updated: 0,
+      skipped: 0,
+      unmappedColumns: [],
+      errors: [],
+    };
+
+    if (rows.length === 0) return report;
+
+    const columns = this.mapColumns(rows[0]);
+    report.unmappedColumns = rows[0].filter((h, i) => h !== "" && !columns[i]);
+
+    const missing = this.missingColumns(rows);
+    if (missing.length > 0) {
+      throw new Error(
+        `Sheet "${sourceSheet}" is missing required columns: ${missing.join(", ")}`
+      );
+    }
+
+    const syncedAt = new Date();
+    const documents = [];
+
+    rows.slice(1).forEach((cells, index) => {
+      // Header is spreadsheet row 1, so data starts at row 2
+      const sheetRowNumber = index + 2;
+      if (cells.every((cell) => cell === "" || cell === null)) return;
+
+      report.totalRows++;
+      const { document, errors } = this.mapRow(cells, columns, sheetRowNumber);
+
+      if (errors.length > 0) {
+        report.skipped++;
+        report.errors.push(...errors);
+        return;
+      }
+
+      document.metadata = { sourceSheet, sheetRowNumber, lastSyncedAt: syncedAt };
+      documents.push(document);
+    });
+
+    if (!options.dryRun && documents.length > 0) {
+      const result = await mongoService.upsertSessions(documents);
+      report.inserted = result.upsertedCount;
+      report.updated = result.matchedCount;
+
+      // Cached answers were computed from the old data
+      await cacheService.invalidate();
+
+      // New ratings can trip or clear threshold alerts
+      try {
+        report.alerts = await alertService.evaluateAll();
+      } catch (error) {
+        console.error("❌ Alert evaluation after import failed:", error.message);
+      }
+    }
+
+    return report;
+  }
+
+  mapRow(cells, columns, row) {
+    const document = { ratings: {} };
+    const errors = [];
+
+    columns.forEach((column, i) => {
+      if (!column) return;
+      const raw = cells[i];
+      if (raw === "" || raw === null || raw === undefined) return;
+
+      const value = this.convertValue(raw, column.type);
+      if (value === undefined) {
+        errors.push({
+          row,
+          field: column.field,
+          value: raw,
+          message: `Could not parse ${column.type} value`,
+        });
+        return;
+      }
+
+      if (column.field.startsWith("ratings.")) {
+        document.ratings[column.field.slice("ratings.".length)] = value;
+      } else {
+        document[column.field] = value;
+      }
+    });
+
+    REQUIRED_FIELDS.forEach((field) => {
+      if (
+        document[field] === undefined &&
+        !errors.some((e) => e.field === field)
+      ) {
+        errors.push({ row, field, value: null, message: "Required value is missing" });
+      }
+    });
+
+    const ratings = document.ratings;
+    if (
+      ratings.overallAverage !== undefined &&
+      (ratings.overallAverage < 1 || ratings.overallAverage > 5)
+    ) {
+      errors.push({
+        row,
+        field: "ratings.overallAverage",
+        value: ratings.overallAverage,
+        message: "Rating must be between 1 and 5",
+      });
+    }
+
+    // Fill in yes/no percentages from raw counts when the sheet omits them
+    const yesNoTotal = (ratings.yesResponses || 0) + (ratings.noResponses || 0);
+    if (yesNoTotal > 0) {
+      if (ratings.yesPercent === undefined) {
+        ratings.yesPercent = this.round((ratings.yesResponses || 0) / yesNoTotal * 100);
+      }
+      if (ratings.noPercent === undefined) {
+        ratings.noPercent = this.round((ratings.noResponses || 0) / yesNoTotal * 100);
+      }
+    }
+
+    return { document, errors };
+  }
+
+  // Returns undefined when the value cannot be converted
+  convertValue(raw, type) {
+    switch (type) {
+      case "string":
+        return String(raw).trim();
+      case "list":
+        return String(raw)
+          .split(/[,;|]/)
+          .map((item) => item.trim())
+          .filter(Boolean);
+      case "date":
+        return this.parseDate(raw);
+      case "number":
+        return this.parseNumber(raw);
+      case "integer": {
+        const number = this.parseNumber(raw);
+        return number === undefined ? undefined : Math.round(number);
+      }
+      case "percent":
+        return this.parsePercent(raw);
+      default:
+        return raw;
+    }
+  }
+
+  parseNumber(raw) {
+    if (typeof raw === "number") return Number.isFinite(raw) ? raw : undefined;
+    const cleaned = String(raw).replace(/,/g, "").trim();
+    if (cleaned === "" || !/^-?\d*\.?\d+$/.test(cleaned)) return undefined;
+    return parseFloat(cleaned);
+  }
+
+  // "45%" -> 45, "45" -> 45, 0.5 -> 0.5; XLSX percent-formatted cells arrive as
+  // "45%" (see markPercentCells)
+  parsePercent(raw) {
+    if (typeof raw === "string" && raw.trim().endsWith("%")) {
+      return this.parseNumber(raw.trim().slice(0, -1));
+    }
+    return this.parseNumber(raw);
+  }
+
+  parseDate(raw) {
+    if (raw instanceof Date) {
+      return Number.isNaN(raw.getTime()) ? undefined : raw;
+    }
+
+    // Excel serial date (days since 1899-12-30)
+    if (typeof raw === "number") {
+      return new Date(Math.round((raw - 25569) * 86400 * 1000));
+    }
+
+    const text = String(raw).trim();
+
+    // ISO: 2024-03-15 or 2024-03-15T10:00:00Z
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) {
+      return this.buildDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+    }
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+
+    // 15/03/2024, 15-03-2024, 15.03.24
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (numeric) {
+      const [first, second] = [parseInt(numeric[1], 10), parseInt(numeric[2], 10)];
+      const [day, month] = this.dateOrder === "MDY" ? [second, first] : [first, second];
+      return this.buildDate(this.expandYear(numeric[3]), month, day);
+    }
+
+    // 15-Mar-2024, 15 March 2024
+    const named = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3,})[\s,-]+(\d{2,4})$/);
+    if (named) {
+      const month = MONTHS.indexOf(named[2].slice(0, 3).toLowerCase()) + 1;
+      return this.buildDate(this.expandYear(named[3]), month, parseInt(named[1], 10));
+    }
+
+    // March 15, 2024
+    const monthFirst = text.match(/^([A-Za-z]{3,})\s+(\d{1,2}),?\s+(\d{2,4})$/);
+    if (monthFirst) {
+      const month = MONTHS.indexOf(monthFirst[1].slice(0, 3).toLowerCase()) + 1;
+      return this.buildDate(this.expandYear(monthFirst[3]), month, parseInt(monthFirst[2], 10));
+    }
+
+    return undefined;
+  }
+
+  expandYear(year) {
+    const value = parseInt(year, 10);
+    return year.length === 2 ? 2000 + value : value;
+  }
+
+  buildDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return undefined;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject rollovers like 31/02
+    return date.getUTCDate() === day ? date : undefined;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new ImportService();
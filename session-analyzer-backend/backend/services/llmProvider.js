@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+
+// Per-stage defaults, overridable with LLM_<STAGE>_MODEL / _TEMPERATURE / _MAX_TOKENS
+const STAGE_DEFAULTS = {
+  generate: { model: "gpt-4", temperature: 0.1, max_tokens: 1000 },
+  fix: { model: "gpt-4", temperature: 0.1, max_tokens: 1000 },
+  analyze: { model: "gpt-4", temperature: 0.3, max_tokens: 1500 },
+  summarize: { model: "gpt-4", temperature: 0.1, max_tokens: 400 },
+};
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "../fixtures/llmMock.json");
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = "openai";
+    this.options = options;
+    this.client = null;
+    // OpenAI reports token usage on streams when asked; local servers may reject the option
+    this.streamUsage = true;
+  }
+
+  // Created lazily so the mock provider never needs an API key
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI(this.options);
+    }
+    return this.client;
+  }
+
+  async complete({ model, messages, temperature, max_tokens }) {
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens,
+    });
+
+    return {
+      content: response.choices[0].message.content.trim(),
+      usage: response.usage || null,
+      model: response.model || model,
+    };
+  }
+
+  // Calls onToken for every content delta and resolves with the full completion
+  async stream({ model, messages, temperature, max_tokens }, onToken) {
+    const stream = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens,
+      stream: true,
+      ...(this.streamUsage && { stream_options: { include_usage: true } }),
+    });
+
+    let content = "";
+    let usage = null;
+    let responseModel = model;
+
+    for await (const chunk of stream) {
+      const delta =
+        chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+          ? chunk.choices[0].delta.content
+          : null;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.model) responseModel = chunk.model;
+    }
+
+    return { content: content.trim(), usage, model: responseModel };
+  }
+}
+
+// Any server that speaks the OpenAI chat completions API (llama.cpp, vLLM, Ollama, ...)
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      apiKey: options.apiKey || "not-needed",
+      baseURL: options.baseURL,
+    });
+    this.name = "local";
+    this.streamUsage = false;
+  }
+}
+
+// Replays canned responses from a fixtures file, picking the first rule
+// whose pattern matches the last user message for the stage
+class MockProvider {
+  constructor(fixturesPath = DEFAULT_FIXTURES_PATH) {
+    this.name = "mock";
+    this.fixturesPath = fixturesPath;
+    this.fixtures = null;
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, "utf8"));
+    }
+    return this.fixtures;
+  }
+
+  async complete({ stage, model, messages }) {
+    const stageFixtures = this.loadFixtures()[stage];
+    if (!stageFixtures) {
+      throw new Error(`No mock fixtures defined for stage "${stage}"`);
+    }
+
+    const userMessages = messages.filter((m) => m.role === "user");
+    const prompt = userMessages.length
+      ? userMessages[userMessages.length - 1].content
+      : "";
+
+    const rule = (stageFixtures.rules || []).find((r) =>
+      new RegExp(r.match, "i").test(prompt)
+    );
+    const content = rule ? rule.response : stageFixtures.default;
+
+    if (content === undefined) {
+      throw new Error(`No mock response matched for stage "${stage}"`);
+    }
+
+    return {
+      content: typeof content === "string" ? content : JSON.stringify(content),
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: `mock:${model}`,
+    };
+  }
+
+  // Replays the canned response word by word
+  async stream(request, onToken) {
+    const response = await this.complete(request);
+    response.content.split(/(?<=\s)/).forEach((token) => onToken(token));
+    return response;
+  }
+}
+
+class LLMClient {
+  constructor() {
+    this.provider = null;
+  }
+
+  createProvider() {
+    const providerName = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+    switch (providerName) {
+      case "openai":
+        return new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+      case "local":
+        if (!process.env.LLM_BASE_URL) {
+          throw new Error("LLM_BASE_URL is required for the local provider");
+        }
+        return new LocalProvider({
+          apiKey: process.env.LLM_API_KEY,
+          baseURL: process.env.LLM_BASE_URL,
+        });
+      case "mock":
+        return new MockProvider(
+          process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES_PATH
+        );
+      default:
+        throw new Error(`Unknown LLM_PROVIDER "${providerName}"`);
+    }
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider();
+      console.log(`✅ LLM provider initialized (${this.provider.name})`);
+    }
+    return this.provider;
+  }
+
+  getStageConfig(stage) {
+    const defaults = STAGE_DEFAULTS[stage];
+    if (!defaults) {
+      throw new Error(`Unknown LLM stage "${stage}"`);
+    }
+
+    const prefix = `LLM_${stage.toUpperCase()}_`;
+    const env = process.env;
+    const model = env[`${prefix}MODEL`] || env.LLM_MODEL || defaults.model;
+    const temperature = parseFloat(env[`${prefix}TEMPERATURE`]);
+    const maxTokens = parseInt(env[`${prefix}MAX_TOKENS`], 10);
+
+    return {
+      model,
+      temperature: Number.isNaN(temperature) ? defaults.temperature : temperature,
+      max_tokens: Number.isNaN(maxTokens) ? defaults.max_tokens : maxTokens,
+    };
+  }
+
+  // Run a chat completion for a pipeline stage ("generate", "fix", "analyze" or "summarize")
+  async complete(stage, messages, overrides = {}) {
+    const config = { ...this.getStageConfig(stage), ...overrides };
+    return this.getProvider().complete({ stage, messages, ...config });
+  }
+
+  // Same as complete, but streams content deltas to onToken as they arrive
+  async stream(stage, messages, onToken, overrides = {}) {
+    const config = { ...this.getStageConfig(stage), ...overrides };
+    return this.getProvider().stream({ stage, messages, ...config }, onToken);
+  }
+}
+
+module.exports = new LLMClient();
+module.exports.OpenAIProvider = OpenAIProvider;
+module.exports.LocalProvider = LocalProvider;
+module.exports.MockProvider = MockProvider;
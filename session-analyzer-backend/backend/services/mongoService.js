@@ -1,5 +1,5 @@
 const { MongoClient } = require("mongodb");
-const queryGenerator = require("./queryGenerator");
+const pipelineValidator = require("./pipelineValidator");
 
 class MongoService {
   constructor() {
@@ -30,6 +30,14 @@ class MongoService {
     }
   }
 
+  // Access auxiliary collections (conversations, audit log, ...) in the same database
+  getCollection(name) {
+    if (!this.isConnected) {
+      throw new Error("Database not connected");
+    }
+    return this.db.collection(name);
+  }
+
   async testConnection() {
     try {
       const count = await this.collection.countDocuments();
@@ -40,26 +48,55 @@ class MongoService {
     }
   }
 
-  async executeQueryWithRetry(mongoQuery, originalQuery, maxRetries = 2) {
+  // options.onAttempt({ attempt, pipeline, error, resultCount }) is called after every attempt
+  // options.onStage({ stage, attempt, error }) is called when executing or fixing starts
+  // options.scope is re-applied to every fixed pipeline (see authService.applyScope)
+  // options.onUsage and options.dates are passed on to queryGenerator.fixQuery
+  async executeQueryWithRetry(
+    mongoQuery,
+    originalQuery,
+    maxRetries = 2,
+    options = {}
+  ) {
     let currentQuery = mongoQuery;
+    const onAttempt = options.onAttempt || (() => {});
+    const onStage = options.onStage || (() => {});
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
+        onStage({ stage: "executing", attempt: attempt + 1 });
         console.log(
           `🔄 Executing query (attempt ${attempt + 1}/${maxRetries})`
         );
 
+        // Reject unsafe stages and apply the $limit cap before touching the database
+        const safeQuery = pipelineValidator.assertValid(currentQuery);
+
         // Execute the aggregation pipeline
-        const results = await this.collection.aggregate(currentQuery).toArray();
+        const results = await this.collection
+          .aggregate(safeQuery, pipelineValidator.getAggregateOptions())
+          .toArray();
 
         console.log(
           `✅ Query executed successfully, found ${results.length} results`
         );
+        onAttempt({
+          attempt: attempt + 1,
+          pipeline: safeQuery,
+          error: null,
+          resultCount: results.length,
+        });
         return results;
       } catch (error) {
         console.error(
           `❌ Query execution failed (attempt ${attempt + 1}): ${error.message}`
         );
+        onAttempt({
+          attempt: attempt + 1,
+          pipeline: currentQuery,
+          error: error.message,
+          resultCount: null,
+        });
 
         // If this is the last attempt, throw the error
         if (attempt === maxRetries - 1) {
@@ -70,11 +107,16 @@ class MongoService {
 
         // Try to fix the query using ChatGPT
         try {
+          // Required here: queryGenerator depends on services that use this module
+          const queryGenerator = require("./queryGenerator");
           console.log("🔄 Attempting to fix query with ChatGPT...");
+          onStage({ stage: "fixing", attempt: attempt + 1, error: error.message });
           currentQuery = await queryGenerator.fixQuery(
             originalQuery,
             error.message,
-            currentQuery
+            currentQuery,
+            error.errors,
+            { scope: options.scope, onUsage: options.onUsage, dates: options.dates }
           );
           console.log("✅ Query fixed, retrying...");
         } catch (fixError) {
@@ -85,18 +127,125 @@ class MongoService {
     }
   }
 
+  // Query plan of a validated pipeline, reduced to what matters for tuning
+  async explainQuery(pipeline) {
+    try {
+      if (!this.isConnected) {
+        throw new Error("Database not connected");
+      }
+
+      const safePipeline = pipelineValidator.assertValid(pipeline);
+      const explain = await this.collection
+        .aggregate(safePipeline, pipelineValidator.getAggregateOptions())
+        .explain("executionStats");
+      return this.summarizeExplain(explain);
+    } catch (error) {
+      throw new Error(`Explain failed: ${error.message}`);
+    }
+  }
+
+  // Handles the plain, $cursor-stage and sharded shapes of aggregate explain output
+  summarizeExplain(explain) {
+    const planners = [];
+    const collect = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (node.queryPlanner) planners.push(node);
+      if (Array.isArray(node.stages)) {
+        node.stages.forEach((stage) => collect(stage.$cursor));
+      }
+      if (node.shards) Object.values(node.shards).forEach(collect);
+    };
+    collect(explain);
+
+    const indexes = new Set();
+    let collectionScan = false;
+    const walkPlan = (plan) => {
+      if (!plan || typeof plan !== "object") return;
+      if (plan.stage === "IXSCAN" && plan.indexName) indexes.add(plan.indexName);
+      if (plan.stage === "COLLSCAN") collectionScan = true;
+      [plan.inputStage, plan.queryPlan, ...(plan.inputStages || [])].forEach(walkPlan);
+    };
+
+    const summary = {
+      indexesUsed: [],
+      collectionScan: false,
+      docsExamined: 0,
+      keysExamined: 0,
+      returned: 0,
+      executionTimeMillis: 0,
+      stages: [],
+    };
+
+    planners.forEach(({ queryPlanner, executionStats }) => {
+      walkPlan(queryPlanner.winningPlan);
+      if (executionStats) {
+        summary.docsExamined += executionStats.totalDocsExamined || 0;
+        summary.keysExamined += executionStats.totalKeysExamined || 0;
+        summary.returned += executionStats.nReturned || 0;
+        summary.executionTimeMillis = Math.max(
+          summary.executionTimeMillis,
+          executionStats.executionTimeMillis || 0
+        );
+      }
+    });
+
+    summary.indexesUsed = [...indexes];
+    summary.collectionScan = collectionScan;
+    if (Array.isArray(explain.stages)) {
+      summary.stages = explain.stages.map((stage) => Object.keys(stage)[0]);
+    }
+    return summary;
+  }
+
   async executeRawQuery(pipeline) {
     try {
       if (!this.isConnected) {
         throw new Error("Database not connected");
       }
 
-      return await this.collection.aggregate(pipeline).toArray();
+      const safePipeline = pipelineValidator.assertValid(pipeline);
+      return await this.collection
+        .aggregate(safePipeline, pipelineValidator.getAggregateOptions())
+        .toArray();
     } catch (error) {
       throw new Error(`Raw query execution failed: ${error.message}`);
     }
   }
 
+  // Insert or update session documents keyed by their source sheet and row
+  async upsertSessions(documents) {
+    try {
+      if (!this.isConnected) {
+        throw new Error("Database not connected");
+      }
+
+      const now = new Date();
+      const operations = documents.map((document) => ({
+        updateOne: {
+          filter: {
+            "metadata.sourceSheet": document.metadata.sourceSheet,
+            "metadata.sheetRowNumber": document.metadata.sheetRowNumber,
+          },
+          update: {
+            $set: { ...document, updatedAt: now },
+            $setOnInsert: { createdAt: now },
+          },
+          upsert: true,
+        },
+      }));
+
+      const result = await this.collection.bulkWrite(operations, {
+        ordered: false,
+      });
+      return {
+        upsertedCount: result.upsertedCount,
+        matchedCount: result.matchedCount,
+      };
+    } catch (error) {
+      throw new Error(`Failed to upsert sessions: ${error.message}`);
+    }
+  }
+
   async getSampleData(limit = 3) {
     try {
       return await this.collection.find({}).limit(limit).toArray();
@@ -105,6 +254,56 @@ class MongoService {
     }
   }
 
+  async getDistinctValues(field) {
+    try {
+      return await this.collection.distinct(field);
+    } catch (error) {
+      throw new Error(`Failed to get distinct values: ${error.message}`);
+    }
+  }
+
+  async getDateRange(field) {
+    try {
+      const [range] = await this.collection
+        .aggregate([
+          {
+            $group: {
+              _id: null,
+              min: { $min: `$${field}` },
+              max: { $max: `$${field}` },
+            },
+          },
+        ])
+        .toArray();
+      return range ? { min: range.min, max: range.max } : { min: null, max: null };
+    } catch (error) {
+      throw new Error(`Failed to get date range: ${error.message}`);
+    }
+  }
+
+  // Changes whenever sessions are imported, updated or removed (see cacheService)
+  async getDataVersion() {
+    try {
+      const [version] = await this.collection
+        .aggregate([
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              lastSyncedAt: { $max: "$metadata.lastSyncedAt" },
+              updatedAt: { $max: "$updatedAt" },
+            },
+          },
+        ])
+        .toArray();
+      return version
+        ? { count: version.count, lastSyncedAt: version.lastSyncedAt, updatedAt: version.updatedAt }
+        : { count: 0, lastSyncedAt: null, updatedAt: null };
+    } catch (error) {
+      throw new Error(`Failed to get data version: ${error.message}`);
+    }
+  }
+
   async getCollectionStats() {
     try {
       const stats = await this.db.runCommand({ collStats: "sessions" });
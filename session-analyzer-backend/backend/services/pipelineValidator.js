@@ -0,0 +1,235 @@
+// Stages that write to or reach outside the sessions collection
+const FORBIDDEN_STAGES = [
+  "$out",
+  "$merge",
+  "$currentOp",
+  "$listSessions",
+  "$listLocalSessions",
+  "$planCacheStats",
+  "$collStats",
+  "$indexStats",
+];
+
+// Operators that run server-side JavaScript
+const FORBIDDEN_OPERATORS = ["$function", "$where", "$accumulator"];
+
+class PipelineValidationError extends Error {
+  constructor(errors) {
+    super(
+      `Pipeline validation failed: ${errors
+        .map((e) => `${e.path}: ${e.message}`)
+        .join("; ")}`
+    );
+    this.name = "PipelineValidationError";
+    this.errors = errors;
+  }
+}
+
+class PipelineValidator {
+  constructor() {
+    this.allowedCollections = (
+      process.env.PIPELINE_ALLOWED_COLLECTIONS || "sessions"
+    )
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    this.maxLimit = parseInt(process.env.PIPELINE_MAX_LIMIT, 10) || 5000;
+    this.maxTimeMS = parseInt(process.env.PIPELINE_MAX_TIME_MS, 10) || 30000;
+  }
+
+  // Returns { valid, errors, pipeline } where pipeline has the $limit cap applied
+  validate(pipeline) {
+    const errors = [];
+
+    if (!Array.isArray(pipeline)) {
+      errors.push({
+        path: "pipeline",
+        code: "NOT_AN_ARRAY",
+        message: "Pipeline must be a JSON array of stages",
+      });
+      return { valid: false, errors, pipeline };
+    }
+
+    // Nothing to filter or shape by: it would return the whole collection
+    if (this.isEmpty(pipeline)) {
+      errors.push({
+        path: "pipeline",
+        code: "EMPTY_PIPELINE",
+        message: "Pipeline must contain at least one stage that filters or shapes the data",
+      });
+      return { valid: false, errors, pipeline };
+    }
+
+    this.checkStages(pipeline, "pipeline", errors);
+
+    if (errors.length > 0) {
+      return { valid: false, errors, pipeline };
+    }
+
+    return { valid: true, errors, pipeline: this.applyLimitCap(pipeline) };
+  }
+
+  // True for [] and pipelines made only of empty $match stages
+  isEmpty(pipeline) {
+    return (
+      Array.isArray(pipeline) &&
+      pipeline.every(
+        (stage) =>
+          stage &&
+          typeof stage === "object" &&
+          Object.keys(stage).length === 1 &&
+          stage.$match &&
+          typeof stage.$match === "object" &&
+          Object.keys(stage.$match).length === 0
+      )
+    );
+  }
+
+  // Throws a PipelineValidationError instead of returning the error list
+  assertValid(pipeline) {
+    const result = this.validate(pipeline);
+    if (!result.valid) {
+      throw new PipelineValidationError(result.errors);
+    }
+    return result.pipeline;
+  }
+
+  checkStages(stages, path, errors) {
+    stages.forEach((stage, index) => {
+      const stagePath = `${path}[${index}]`;
+
+      if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+        errors.push({
+          path: stagePath,
+          code: "INVALID_STAGE",
+          message: "Each stage must be an object",
+        });
+        return;
+      }
+
+      const keys = Object.keys(stage);
+      if (keys.length !== 1 || !keys[0].startsWith("$")) {
+        errors.push({
+          path: stagePath,
+          code: "INVALID_STAGE",
+          message: "Each stage must have exactly one $-prefixed operator",
+        });
+        return;
+      }
+
+      const operator = keys[0];
+      const body = stage[operator];
+
+      if (FORBIDDEN_STAGES.includes(operator)) {
+        errors.push({
+          path: stagePath,
+          code: "FORBIDDEN_STAGE",
+          message: `${operator} is not allowed`,
+        });
+        return;
+      }
+
+      switch (operator) {
+        case "$lookup":
+        case "$graphLookup":
+          this.checkCollection(body && body.from, stagePath, operator, errors);
+          this.checkSubPipeline(body, stagePath, errors);
+          break;
+        case "$unionWith": {
+          const coll = typeof body === "string" ? body : body && body.coll;
+          this.checkCollection(coll, stagePath, operator, errors);
+          this.checkSubPipeline(body, stagePath, errors);
+          break;
+        }
+        case "$facet":
+          Object.entries(body || {}).forEach(([name, subPipeline]) => {
+            if (Array.isArray(subPipeline)) {
+              this.checkStages(subPipeline, `${stagePath}.${name}`, errors);
+            }
+          });
+          break;
+        default:
+          this.checkOperators(body, stagePath, errors);
+          break;
+      }
+    });
+  }
+
+  // Validate a nested `pipeline` as stages and the rest of the body as expressions
+  checkSubPipeline(body, path, errors) {
+    if (!body || typeof body !== "object") return;
+
+    const { pipeline, ...rest } = body;
+    if (Array.isArray(pipeline)) {
+      this.checkStages(pipeline, `${path}.pipeline`, errors);
+    }
+    this.checkOperators(rest, path, errors);
+  }
+
+  checkCollection(name, path, operator, errors) {
+    if (!this.allowedCollections.includes(name)) {
+      errors.push({
+        path,
+        code: "FORBIDDEN_COLLECTION",
+        message: `${operator} into collection "${name}" is not allowed (allowed: ${this.allowedCollections.join(
+          ", "
+        )})`,
+      });
+    }
+  }
+
+  // Walk the stage body looking for JavaScript execution operators
+  checkOperators(value, path, errors) {
+    if (!value || typeof value !== "object") return;
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) =>
+        this.checkOperators(item, `${path}[${index}]`, errors)
+      );
+      return;
+    }
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (FORBIDDEN_OPERATORS.includes(key)) {
+        errors.push({
+          path: `${path}.${key}`,
+          code: "FORBIDDEN_OPERATOR",
+          message: `${key} (server-side JavaScript) is not allowed`,
+        });
+        return;
+      }
+      this.checkOperators(child, `${path}.${key}`, errors);
+    });
+  }
+
+  // Make sure the pipeline never returns more than maxLimit documents
+  applyLimitCap(pipeline) {
+    const lastStage = pipeline[pipeline.length - 1];
+    if (
+      lastStage &&
+      typeof lastStage.$limit === "number" &&
+      lastStage.$limit <= this.maxLimit
+    ) {
+      return pipeline;
+    }
+    return [...pipeline, { $limit: this.maxLimit }];
+  }
+
+  // Whether results of a validated pipeline stopped at the cap, so more documents
+  // may have matched than were returned
+  isCapped(pipeline, resultCount) {
+    const lastStage = Array.isArray(pipeline) && pipeline[pipeline.length - 1];
+    return Boolean(
+      lastStage &&
+        lastStage.$limit === this.maxLimit &&
+        resultCount >= this.maxLimit
+    );
+  }
+
+  getAggregateOptions() {
+    return { maxTimeMS: this.maxTimeMS };
+  }
+}
+
+module.exports = new PipelineValidator();
+module.exports.PipelineValidationError = PipelineValidationError;
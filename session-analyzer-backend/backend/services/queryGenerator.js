@@ -1,21 +1,14 @@
-const OpenAI = require('openai');
+const llmClient = require('./llmProvider');
+const schemaIntrospector = require('./schemaIntrospector');
+const authService = require('./authService');
+const exampleBank = require('./exampleBank');
+const dateNormalizer = require('./dateNormalizer');
+const pipelineValidator = require('./pipelineValidator');
 
-class QueryGenerator {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    this.isInitialized = false;
-    this.context = null;
-  }
-
-  async initialize() {
-    if (this.isInitialized) return;
-
-    this.context = `You are a MongoDB query generator for a session rating database.
+const MAX_INTERPRETATIONS = 4;
 
-DATABASE SCHEMA:
-Collection: sessions
+// Used when the database can't be introspected
+const STATIC_SCHEMA = `Collection: sessions
 Document Structure:
 {
   "_id": ObjectId,
@@ -29,7 +22,7 @@ Document Structure:
   "ratings": {
     "overallAverage": "number (1-5 scale)",
     "totalResponses": "number",
-    "studentsAttended": "number", 
+    "studentsAttended": "number",
     "cohortStrength": "number",
     "percentRated": "number (percentage)",
     "yesResponses": "number",
@@ -44,62 +37,128 @@ Document Structure:
   },
   "createdAt": "Date",
   "updatedAt": "Date"
-}
+}`;
+
+class QueryGenerator {
+  constructor() {
+    this.isInitialized = false;
+    this.context = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.refreshContext();
+
+    this.isInitialized = true;
+    console.log('✅ Query Generator context initialized');
+  }
+
+  // Rebuild the prompt from live schema data, falling back to the static schema
+  async refreshContext() {
+    let schemaContext;
+    try {
+      const snapshot = await schemaIntrospector.refreshIfStale();
+      schemaContext = schemaIntrospector.buildSchemaContext(snapshot);
+    } catch (error) {
+      console.error('⚠️ Using static schema:', error.message);
+      schemaContext = STATIC_SCHEMA;
+    }
+
+    this.context = `You are a MongoDB query generator for a session rating database.
+
+DATABASE SCHEMA:
+${schemaContext}
 
 IMPORTANT RULES:
-1. Always return ONLY valid MongoDB aggregation pipeline as JSON array
+1. Always return ONLY a JSON object in one of these forms:
+   {"status":"answerable","pipeline":[<MongoDB aggregation pipeline>]}
+   {"status":"ambiguous","question":"<what you need to know>","interpretations":[{"label":"<short option>","question":"<the full question rewritten for this reading>"}]}
+   {"status":"out_of_scope","reason":"<why the session rating data can't answer it>"}
 2. Use aggregation pipeline format: [{ $match: {...} }, { $group: {...} }, ...]
-3. For date queries, use proper MongoDB date operators like $gte, $lte
+3. For date queries, use $gte/$lt on sessionDate and write date literals as {"$date": "<ISO 8601>"}, never plain strings. Use the resolved date ranges given with the question for relative dates like "last quarter"
 4. For quarter calculations: Q1 (Jan-Mar), Q2 (Apr-Jun), Q3 (Jul-Sep), Q4 (Oct-Dec)
 5. Use $dateToString, $year, $month for date formatting
 6. For rating improvements, use $group and $project to calculate differences
 7. Handle case-insensitive text matching with regex when needed
-8. Return empty array [] if query cannot be converted to MongoDB
+8. Use "ambiguous" only when reasonable readings give materially different answers (e.g. "best" by rating or by number of sessions), with 2-4 interpretations; otherwise answer the most common reading. Use "out_of_scope" when the data can't answer the question. Never return an empty pipeline
+9. For follow-up questions, start from the previous pipeline in the conversation and apply only the requested change (e.g. a different quarter or domain)
+10. Never use $out, $merge, $function, $where or $accumulator, and never $lookup/$unionWith into collections other than sessions
 
 EXAMPLES:
 Query: "Average rating for Rishi Bollu"
-Response: [{"$match":{"instructor":"Rishi Bollu"}},{"$group":{"_id":null,"avgRating":{"$avg":"$ratings.overallAverage"},"totalSessions":{"$sum":1}}}]
+Response: {"status":"answerable","pipeline":[{"$match":{"instructor":"Rishi Bollu"}},{"$group":{"_id":null,"avgRating":{"$avg":"$ratings.overallAverage"},"totalSessions":{"$sum":1}}}]}
 
-Query: "Sessions in 2024"  
-Response: [{"$match":{"sessionDate":{"$gte":"2024-01-01T00:00:00.000Z","$lte":"2024-12-31T23:59:59.999Z"}}}]
+Query: "Sessions in 2024"
+Response: {"status":"answerable","pipeline":[{"$match":{"sessionDate":{"$gte":{"$date":"2024-01-01T00:00:00.000Z"},"$lt":{"$date":"2025-01-01T00:00:00.000Z"}}}}]}
 
-Convert the user's English query into a MongoDB aggregation pipeline. Return only the JSON array.`;
+Query: "Who is the best instructor?"
+Response: {"status":"ambiguous","question":"How should the best instructor be measured?","interpretations":[{"label":"Highest average rating","question":"Which instructor has the highest average overall rating?"},{"label":"Most sessions","question":"Which instructor has taught the most sessions?"},{"label":"Most students rating","question":"Which instructor has the highest average percent of students rating their sessions?"}]}
 
-    this.isInitialized = true;
-    console.log('✅ Query Generator context initialized');
+Query: "What is Rishi Bollu's salary?"
+Response: {"status":"out_of_scope","reason":"The database only has session ratings and attendance, not salaries."}
+
+Classify the user's English query and, when it is answerable, convert it into a MongoDB aggregation pipeline. Return only the JSON object.`;
   }
 
-  async generateQuery(userQuery) {
+  // history: previous conversation turns ({ question, pipeline }), oldest first
+  // entities: mentions already resolved to canonical values ({ mention, field, value })
+  // options.scope: row restriction of the caller, enforced as the first $match
+  // options.onUsage({ stage, model, usage }) receives the LLM token usage
+  // options.dates: today and the relative dates in the question (see dateResolver.resolve)
+  // Returns { status: 'answerable', pipeline } or, when there is nothing safe to run,
+  // { status: 'ambiguous' | 'out_of_scope', message, options: [{ label, question }] }
+  async generateQuery(userQuery, history = [], entities = [], options = {}) {
     if (!this.isInitialized) {
       throw new Error('Query Generator not initialized');
     }
 
+    if (schemaIntrospector.isStale()) {
+      await this.refreshContext();
+    }
+
+    const examples = await this.findExamples(userQuery);
+
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: this.context },
-          { role: 'user', content: userQuery }
-        ],
-        temperature: 0.1,
-        max_tokens: 1000
-      });
-
-      const generatedQuery = response.choices[0].message.content.trim();
-      
+      const response = await llmClient.complete('generate', [
+        { role: 'system', content: this.context + this.buildExampleBlock(examples) },
+        ...this.buildHistoryMessages(history),
+        {
+          role: 'user',
+          content: userQuery + this.buildEntityHints(entities) + this.buildDateHints(options.dates)
+        }
+      ]);
+
+      if (options.onUsage) {
+        options.onUsage({ stage: 'generate', model: response.model, usage: response.usage });
+      }
       // Try to parse as JSON to validate
-      let mongoQuery;
+      let generated;
       try {
-        mongoQuery = JSON.parse(generatedQuery);
-        if (!Array.isArray(mongoQuery)) {
-          throw new Error('Query must be an array');
-        }
+        generated = this.parseGeneration(response.content);
       } catch (parseError) {
         throw new Error(`Invalid MongoDB query generated: ${parseError.message}`);
       }
 
+      // An empty pipeline would return the whole collection, which answers nothing;
+      // checked before the scope adds a $match of its own
+      if (generated.status === 'answerable' && pipelineValidator.isEmpty(generated.pipeline)) {
+        generated = {
+          status: 'ambiguous',
+          message: "I couldn't turn this into a query on the session data. Which instructor, domain, metric or time period are you interested in?",
+          options: []
+        };
+      }
+      if (generated.status !== 'answerable') {
+        console.log(`❓ Question is ${generated.status}: ${generated.message}`);
+        return generated;
+      }
+
+      // Date literals become real Dates so they can match Date fields
+      let mongoQuery = dateNormalizer.normalize(generated.pipeline);
+      mongoQuery = authService.applyScope(mongoQuery, options.scope);
       console.log('Generated MongoDB Query:', JSON.stringify(mongoQuery, null, 2));
-      return mongoQuery;
+      return { status: 'answerable', pipeline: mongoQuery };
 
     } catch (error) {
       console.error('Error generating query:', error.message);
@@ -107,27 +166,141 @@ Convert the user's English query into a MongoDB aggregation pipeline. Return onl
     }
   }
 
-  async fixQuery(originalQuery, errorMessage, failedQuery) {
-    const fixPrompt = `The previous MongoDB query failed with error: "${errorMessage}"
+  // A bare array (the format used before questions were classified) counts as answerable
+  parseGeneration(content) {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) {
+      return { status: 'answerable', pipeline: parsed };
+    }
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('Reply must be a JSON object');
+    }
+
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    switch (parsed.status) {
+      case 'answerable':
+        if (!Array.isArray(parsed.pipeline)) {
+          throw new Error('Query must be an array');
+        }
+        return { status: 'answerable', pipeline: parsed.pipeline };
+      case 'ambiguous':
+        return {
+          status: 'ambiguous',
+          message: text(parsed.question) || 'Could you say more precisely what you want to know?',
+          options: (Array.isArray(parsed.interpretations) ? parsed.interpretations : [])
+            .filter(option => option && text(option.question))
+            .slice(0, MAX_INTERPRETATIONS)
+            .map(option => ({
+              label: text(option.label) || text(option.question),
+              question: text(option.question)
+            }))
+        };
+      case 'out_of_scope':
+        return {
+          status: 'out_of_scope',
+          message: text(parsed.reason) || "The session rating data can't answer this question.",
+          options: []
+        };
+      default:
+        throw new Error(`Unknown status "${parsed.status}"`);
+    }
+  }
+
+  // Replay earlier turns as question/answer pairs so follow-ups can build on them
+  buildHistoryMessages(history) {
+    return history.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: this.stringifyGeneration(turn.pipeline || []) }
+    ]);
+  }
+
+  // Verified examples are a bonus; generation works without them
+  async findExamples(userQuery) {
+    try {
+      return await exampleBank.findSimilar(userQuery);
+    } catch (error) {
+      console.error('⚠️ Few-shot examples unavailable:', error.message);
+      return [];
+    }
+  }
+
+  buildExampleBlock(examples) {
+    if (!examples || examples.length === 0) return '';
+
+    const pairs = examples
+      .map(e => `Query: "${e.question}"\nResponse: ${this.stringifyGeneration(e.pipeline)}`)
+      .join('\n\n');
+    return `\n\nVERIFIED EXAMPLES FROM SIMILAR QUESTIONS (confirmed correct by users):\n${pairs}`;
+  }
 
-Original user request: "${originalQuery}"
-Failed query: ${JSON.stringify(failedQuery)}
+  // Stored pipelines hold real Dates; show them the way the model should write them
+  stringifyPipeline(pipeline) {
+    return JSON.stringify(pipeline, function (key, value) {
+      const raw = this[key];
+      return raw instanceof Date ? { $date: raw.toISOString() } : value;
+    });
+  }
+
+  // A pipeline the way the model answers answerable questions
+  stringifyGeneration(pipeline) {
+    return `{"status":"answerable","pipeline":${this.stringifyPipeline(pipeline)}}`;
+  }
+
+  buildEntityHints(entities) {
+    if (!entities || entities.length === 0) return '';
+
+    const hints = entities
+      .map(e => `- "${e.mention}" means ${e.field} = ${JSON.stringify(e.value)}`)
+      .join('\n');
+    return `\n\nResolved names (use these exact values):\n${hints}`;
+  }
 
+  buildDateHints(dates) {
+    if (!dates) return '';
+
+    const ranges = dates.ranges
+      .map(r => `- "${r.expression}" means ${r.from} to ${r.to}: {"$gte":{"$date":"${r.start.toISOString()}"},"$lt":{"$date":"${r.end.toISOString()}"}}`)
+      .join('\n');
+    return `\n\nToday is ${dates.today} (${dates.timezone}).${ranges ? `\nResolved dates (use these exact ranges):\n${ranges}` : ''}`;
+  }
+
+  async fixQuery(originalQuery, errorMessage, failedQuery, validationErrors, options = {}) {
+    const validationDetails = validationErrors && validationErrors.length > 0
+      ? `\nThe query was rejected by the safety validator before execution:\n${validationErrors
+          .map(e => `- ${e.path} (${e.code}): ${e.message}`)
+          .join('\n')}\nRemove or rewrite the offending stages; the pipeline must be read-only.\n`
+      : '';
+
+    const fixPrompt = `The previous MongoDB query failed with error: "${errorMessage}"
+
+Original user request: "${originalQuery}"${this.buildDateHints(options.dates)}
+Failed query: ${this.stringifyPipeline(failedQuery)}
+${validationDetails}
 Please provide a corrected MongoDB aggregation pipeline that fixes this error.
-Return only the corrected JSON array.`;
+Return only the JSON object {"status":"answerable","pipeline":[...]} with the corrected pipeline.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: this.context },
-          { role: 'user', content: fixPrompt }
-        ],
-        temperature: 0.1,
-        max_tokens: 1000
-      });
-
-      const fixedQuery = JSON.parse(response.choices[0].message.content.trim());
+      const response = await llmClient.complete('fix', [
+        { role: 'system', content: this.context },
+        { role: 'user', content: fixPrompt }
+      ]);
+
+      if (options.onUsage) {
+        options.onUsage({ stage: 'fix', model: response.model, usage: response.usage });
+      }
+      const generated = this.parseGeneration(response.content);
+      // A fix must still be a query: a question back or an empty pipeline (which
+      // the scope would turn into "every row") is a failed fix
+      if (generated.status !== 'answerable') {
+        throw new Error(`Reply was ${generated.status} instead of a corrected pipeline`);
+      }
+      if (pipelineValidator.isEmpty(generated.pipeline)) {
+        throw new Error('Corrected pipeline is empty');
+      }
+      const fixedQuery = authService.applyScope(
+        dateNormalizer.normalize(generated.pipeline),
+        options.scope
+      );
       console.log('Fixed MongoDB Query:', JSON.stringify(fixedQuery, null, 2));
       return fixedQuery;
 
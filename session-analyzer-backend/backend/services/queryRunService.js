@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const mongoService = require("./mongoService");
+
+const SORT_FIELD_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const INSERT_BATCH_SIZE = 1000;
+
+// Completed query runs, so results can be re-read later (exports, paging)
+class QueryRunService {
+  constructor() {
+    this.pageSize = parseInt(process.env.RESULT_PAGE_SIZE, 10) || 50;
+    this.maxPageSize = parseInt(process.env.RESULT_MAX_PAGE_SIZE, 10) || 500;
+    // Stored result rows expire; exports of older runs re-run the pipeline
+    this.resultTtlHours = parseInt(process.env.RESULT_TTL_HOURS, 10) || 168;
+    this.indexesReady = null;
+  }
+
+  getCollection() {
+    return mongoService.getCollection("queryRuns");
+  }
+
+  // One document per result row: { runId, position, row, createdAt }
+  getResultsCollection() {
+    return mongoService.getCollection("queryResults");
+  }
+
+  ensureIndexes() {
+    if (!this.indexesReady) {
+      const collection = this.getResultsCollection();
+      this.indexesReady = Promise.all([
+        collection.createIndex({ runId: 1, position: 1 }),
+        collection.createIndex(
+          { createdAt: 1 },
+          { expireAfterSeconds: this.resultTtlHours * 3600 }
+        ),
+      ]).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    return this.indexesReady;
+  }
+
+  // The id is created before the run is saved so its results can be stored first
+  newRunId() {
+    return crypto.randomUUID();
+  }
+
+  async saveRun(run) {
+    const runId = run.runId || this.newRunId();
+
+    try {
+      await this.getCollection().insertOne({
+        _id: runId,
+        question: run.question,
+        pipeline: run.pipeline,
+        resultCount: run.resultCount,
+        capped: Boolean(run.capped),
+        limit: run.limit || null,
+        analysis: run.analysis,
+        visualization: run.visualization,
+        statistics: run.statistics || null,
+        verification: run.verification || null,
+        coverage: run.coverage || null,
+        conversationId: run.conversationId,
+        ownerId: run.ownerId || null,
+        scope: run.scope || null,
+        createdAt: new Date(),
+      });
+      return runId;
+    } catch (error) {
+      throw new Error(`Failed to save query run: ${error.message}`);
+    }
+  }
+
+  async getRun(runId) {
+    try {
+      return await this.getCollection().findOne({ _id: runId });
+    } catch (error) {
+      throw new Error(`Failed to load query run: ${error.message}`);
+    }
+  }
+
+  // Store every result row under the run id: the handle pages are read from
+  async storeResults(runId, results) {
+    try {
+      await this.ensureIndexes();
+
+      const createdAt = new Date();
+      for (let start = 0; start < results.length; start += INSERT_BATCH_SIZE) {
+        await this.getResultsCollection().insertMany(
+          results.slice(start, start + INSERT_BATCH_SIZE).map((row, i) => ({
+            runId,
+            position: start + i,
+            row,
+            createdAt,
+          })),
+          { ordered: false }
+        );
+      }
+    } catch (error) {
+      throw new Error(`Failed to store query results: ${error.message}`);
+    }
+  }
+
+  // Stored rows in query order, or a re-run of the pipeline once they have expired
+  async getFullResults(run) {
+    const documents = await this.getResultsCollection()
+      .find({ runId: run._id })
+      .sort({ position: 1 })
+      .toArray();
+    if (documents.length > 0 && documents.length === run.resultCount) {
+      return documents.map((document) => document.row);
+    }
+    return mongoService.executeRawQuery(run.pipeline);
+  }
+
+  // query: { cursor, limit, sort, order } from the page endpoint
+  validatePageOptions(query) {
+    const errors = [];
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > this.maxPageSize) {
+        errors.push(`limit must be an integer between 1 and ${this.maxPageSize}`);
+      }
+    }
+    if (query.sort !== undefined && !SORT_FIELD_PATTERN.test(query.sort)) {
+      errors.push("sort must be a field path such as ratings.overallAverage");
+    }
+    if (query.order !== undefined && !["asc", "desc"].includes(query.order)) {
+      errors.push("order must be asc or desc");
+    }
+
+    if (query.cursor !== undefined) {
+      const cursor = this.decodeCursor(query.cursor);
+      if (!cursor) {
+        errors.push("cursor is invalid");
+      } else if (
+        (query.sort !== undefined && query.sort !== cursor.sort) ||
+        (query.order !== undefined && query.order !== cursor.order)
+      ) {
+        errors.push("cursor belongs to a different sort order");
+      }
+    }
+
+    return errors;
+  }
+
+  // Returns { rows, nextCursor, total, sort: { field, order }, limit }, or null
+  // once the stored rows have expired. Without a sort field rows come back in query order
+  async getPage(run, query = {}) {
+    const cursor = query.cursor ? this.decodeCursor(query.cursor) : null;
+    const sort = {
+      field: cursor ? cursor.sort : query.sort || null,
+      order: cursor ? cursor.order : query.order || "asc",
+    };
+    const limit = query.limit ? Number(query.limit) : this.pageSize;
+    const offset = cursor ? cursor.offset : 0;
+
+    try {
+      const collection = this.getResultsCollection();
+      const total = await collection.countDocuments({ runId: run._id });
+      if (total === 0 && run.resultCount > 0) return null;
+
+      const direction = sort.order === "desc" ? -1 : 1;
+      const documents = await collection
+        .find({ runId: run._id })
+        .sort(
+          sort.field
+            ? { [`row.${sort.field}`]: direction, position: 1 }
+            : { position: direction }
+        )
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      return this.buildPage(
+        documents.map((document) => document.row),
+        { total, sort, limit, offset }
+      );
+    } catch (error) {
+      throw new Error(`Failed to load results page: ${error.message}`);
+    }
+  }
+
+  // First page straight from the in-memory results, before anything is read back
+  firstPage(results) {
+    const sort = { field: null, order: "asc" };
+    return this.buildPage(results.slice(0, this.pageSize), {
+      total: results.length,
+      sort,
+      limit: this.pageSize,
+      offset: 0,
+    });
+  }
+
+  buildPage(rows, { total, sort, limit, offset }) {
+    const nextOffset = offset + rows.length;
+    return {
+      rows,
+      nextCursor:
+        nextOffset < total
+          ? this.encodeCursor({ sort: sort.field, order: sort.order, offset: nextOffset })
+          : null,
+      total,
+      sort,
+      limit,
+    };
+  }
+
+  // Cursors are opaque to clients; they carry the sort so pages stay consistent
+  encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+  }
+
+  decodeCursor(value) {
+    try {
+      const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+      const valid =
+        Number.isInteger(cursor.offset) &&
+        cursor.offset >= 0 &&
+        (cursor.sort === null || SORT_FIELD_PATTERN.test(cursor.sort)) &&
+        ["asc", "desc"].includes(cursor.order);
+      return valid ? cursor : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new QueryRunService();
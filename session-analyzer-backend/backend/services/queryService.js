@@ -0,0 +1,503 @@
+const queryGenerator = require("./queryGenerator");
+const resultAnalyzer = require("./resultAnalyzer");
+const mongoService = require("./mongoService");
+const conversationService = require("./conversationService");
+const entityResolver = require("./entityResolver");
+const visualizationBuilder = require("./visualizationBuilder");
+const queryRunService = require("./queryRunService");
+const authService = require("./authService");
+const auditService = require("./auditService");
+const pipelineValidator = require("./pipelineValidator");
+const statisticsEngine = require("./statisticsEngine");
+const analysisVerifier = require("./analysisVerifier");
+const dateResolver = require("./dateResolver");
+const dateNormalizer = require("./dateNormalizer");
+const cacheService = require("./cacheService");
+const resultSummarizer = require("./resultSummarizer");
+
+// Runs the generate -> execute -> analyze flow shared by every /api/query handler
+class QueryService {
+  // options.onEvent(type, data) receives progress for streaming clients:
+  // stage, pipeline, results and token events.
+  // options.principal (from authService) restricts the rows every pipeline can read.
+  // options.dryRun returns the generated pipeline without running it;
+  // options.explain returns it with a summary of the query plan instead of results.
+  // options.fresh skips cached pipelines and results (the new ones are still cached).
+  // Every call, successful or not, is written to the audit log
+  async processQuery(query, options = {}) {
+    let source = options.onEvent ? "stream" : "query";
+    if (options.dryRun) source = "dry-run";
+    if (options.explain) source = "explain";
+
+    const trace = auditService.createTrace({
+      principal: options.principal,
+      query,
+      conversationId: options.conversationId,
+      source,
+    });
+    return this.audited(trace, () => this.runQuery(query, options, trace));
+  }
+
+  // Run a pipeline written or edited by the user instead of a generated one.
+  // It is restricted and validated like any other pipeline but never "fixed"
+  async runEditedPipeline(query, pipeline, options = {}) {
+    const trace = auditService.createTrace({
+      principal: options.principal,
+      query,
+      conversationId: options.conversationId,
+      source: "edited",
+    });
+    return this.audited(trace, () =>
+      this.runPipeline(query, pipeline, options, trace)
+    );
+  }
+
+  async audited(trace, run) {
+    try {
+      const result = await run();
+      trace.status = "success";
+      return result;
+    } catch (error) {
+      trace.status = "error";
+      trace.error = error.message;
+      throw error;
+    } finally {
+      await auditService.record(trace);
+    }
+  }
+
+  // Per-request state shared by the steps below
+  async createContext(query, options, trace) {
+    const principal = options.principal || null;
+    const ownerId = principal ? principal.id : null;
+    // Another owner's conversation id starts a new conversation; checked before
+    // running anything, since saving the turn under that id would fail
+    const conversationId =
+      options.conversationId &&
+      (await conversationService.isAvailable(options.conversationId, ownerId))
+        ? options.conversationId
+        : conversationService.createConversationId();
+    const history = await conversationService.getHistory(conversationId, ownerId);
+    trace.conversationId = conversationId;
+    // "hit", "miss" or "bypass" (options.fresh) for each cache level; null when not used
+    trace.cache = { pipeline: "miss", results: "miss" };
+
+    console.log(
+      `📝 Processing query: "${query}" (conversation ${conversationId}, ${history.length} previous turns)`
+    );
+
+    return {
+      emit: options.onEvent || (() => {}),
+      streaming: Boolean(options.onEvent),
+      onUsage: auditService.usageRecorder(trace),
+      ownerId,
+      scope: authService.getScope(principal),
+      conversationId,
+      history,
+      fresh: Boolean(options.fresh),
+      cache: trace.cache,
+      // Set by lookupResults: the pipeline results are cached under and the entry found
+      resultKey: null,
+      cachedResults: null,
+      trace,
+    };
+  }
+
+  async lookupPipeline(query, dates, context) {
+    if (context.fresh) {
+      context.cache.pipeline = "bypass";
+      return null;
+    }
+    const cached = await cacheService.getPipeline(query, context.scope, dates);
+    context.cache.pipeline = cached ? "hit" : "miss";
+    return cached;
+  }
+
+  async lookupResults(pipeline, context) {
+    context.resultKey = pipeline;
+    if (context.fresh) {
+      context.cache.results = "bypass";
+      return null;
+    }
+    context.cachedResults = await cacheService.getResults(pipeline);
+    context.cache.results = context.cachedResults ? "hit" : "miss";
+    return context.cachedResults;
+  }
+
+  async runQuery(query, options, trace) {
+    const context = await this.createContext(query, options, trace);
+    const { emit, onUsage, scope, history } = context;
+
+    // Step 1: Generate MongoDB query using the conversation so far, with
+    // fuzzy names and relative dates resolved before generation and names
+    // corrected in the pipeline after. Follow-ups depend on the conversation,
+    // so only first questions use the pipeline cache
+    emit("stage", { stage: "generating" });
+    const dates = dateResolver.resolve(query);
+    let cachedPipeline = null;
+    if (history.length === 0) {
+      cachedPipeline = await this.lookupPipeline(query, dates, context);
+    } else {
+      context.cache.pipeline = null;
+    }
+
+    let mongoQuery;
+    let entities;
+    if (cachedPipeline) {
+      console.log("⚡ Using cached MongoDB query");
+      mongoQuery = cachedPipeline.pipeline;
+      entities = cachedPipeline.entities;
+    } else {
+      console.log("🔄 Generating MongoDB query...");
+      const mentions = entityResolver.resolveMentions(query);
+      const generated = await auditService.timeStage(trace, "generateMs", () =>
+        queryGenerator.generateQuery(query, history, mentions.resolved, {
+          scope,
+          onUsage,
+          dates,
+        })
+      );
+      // Ambiguous and out-of-scope questions are answered with a question instead
+      if (generated.status !== "answerable") {
+        return this.clarify(query, generated, context);
+      }
+      const rewrite = entityResolver.rewritePipeline(generated.pipeline);
+      // Name correction must never loosen the restriction, so it is enforced again
+      mongoQuery = authService.applyScope(rewrite.pipeline, scope);
+      rewrite.rewrites.forEach((r) =>
+        console.log(`🔁 Rewrote ${r.field} "${r.from}" -> "${r.to}"`)
+      );
+      console.log("✅ MongoDB query generated");
+
+      entities = {
+        resolved: mentions.resolved,
+        rewrites: rewrite.rewrites,
+        ambiguous: this.uniqueMentions([
+          ...mentions.ambiguous,
+          ...rewrite.ambiguous,
+        ]),
+        dates: dates.ranges,
+      };
+    }
+    trace.generatedPipeline = mongoQuery;
+    emit("pipeline", { pipeline: mongoQuery });
+
+    if (options.dryRun || options.explain) {
+      return this.previewPipeline(query, mongoQuery, entities, context, options);
+    }
+
+    // Step 2: Execute query with retry logic, keeping the pipeline that succeeded
+    const cachedResults = await this.lookupResults(mongoQuery, context);
+    let executedPipeline = mongoQuery;
+    let results;
+    if (cachedResults) {
+      console.log("⚡ Using cached results");
+      executedPipeline = cachedResults.pipeline;
+      results = cachedResults.results;
+    } else {
+      console.log("🔄 Executing database query...");
+      results = await auditService.timeStage(trace, "executeMs", () =>
+        mongoService.executeQueryWithRetry(mongoQuery, query, 2, {
+          onAttempt: (attempt) => {
+            trace.attempts.push(attempt);
+            if (!attempt.error) executedPipeline = attempt.pipeline;
+          },
+          onStage: (stage) => emit("stage", stage),
+          onUsage,
+          scope,
+          dates,
+        })
+      );
+    }
+
+    // Only pipelines that ran are cached, fixed ones in place of what was generated
+    if (history.length === 0 && !cachedPipeline) {
+      await cacheService.setPipeline(query, scope, dates, {
+        pipeline: executedPipeline,
+        entities,
+      });
+    }
+
+    return this.completeRun(query, results, executedPipeline, entities, context);
+  }
+
+  async runPipeline(query, pipeline, options, trace) {
+    const context = await this.createContext(query, options, trace);
+
+    // Same date handling, restriction and safety checks as generated pipelines
+    const safePipeline = pipelineValidator.assertValid(
+      authService.applyScope(dateNormalizer.normalize(pipeline), context.scope)
+    );
+    trace.generatedPipeline = safePipeline;
+    // Edited pipelines are never generated, so only the results cache applies
+    trace.cache.pipeline = null;
+
+    const cachedResults = await this.lookupResults(safePipeline, context);
+    let results;
+    if (cachedResults) {
+      console.log("⚡ Using cached results");
+      results = cachedResults.results;
+    } else {
+      console.log("🔄 Executing edited pipeline...");
+      results = await auditService.timeStage(trace, "executeMs", () =>
+        mongoService.executeRawQuery(safePipeline)
+      );
+      trace.attempts.push({
+        attempt: 1,
+        pipeline: safePipeline,
+        error: null,
+        resultCount: results.length,
+      });
+    }
+
+    return this.completeRun(
+      query,
+      results,
+      safePipeline,
+      { resolved: [], rewrites: [], ambiguous: [], dates: [] },
+      context
+    );
+  }
+
+  // Nothing is executed, saved or added to the conversation; the options are
+  // rewritten questions the user can pick from
+  clarify(query, generated, context) {
+    context.trace.clarification = generated.status;
+    context.cache.results = null;
+    return {
+      query: query,
+      conversationId: context.conversationId,
+      clarification: {
+        type: generated.status,
+        message: generated.message,
+        options: generated.options,
+      },
+      executionTime: new Date().toISOString(),
+    };
+  }
+
+  // Dry run / explain: nothing is executed, saved or added to the conversation
+  async previewPipeline(query, pipeline, entities, context, options) {
+    let explain = null;
+    if (options.explain) {
+      console.log("🔄 Explaining query plan...");
+      explain = await auditService.timeStage(context.trace, "explainMs", () =>
+        mongoService.explainQuery(pipeline)
+      );
+    }
+
+    return {
+      query: query,
+      conversationId: context.conversationId,
+      dryRun: true,
+      cache: context.cache,
+      pipeline,
+      validation: pipelineValidator.validate(pipeline).errors,
+      explain,
+      entities,
+      executionTime: new Date().toISOString(),
+    };
+  }
+
+  // Visualize, analyze and store results, then build the response
+  async completeRun(query, results, executedPipeline, entities, context) {
+    const { emit, onUsage, history, trace } = context;
+
+    trace.finalPipeline = executedPipeline;
+    trace.resultCount = results.length;
+    console.log(
+      `✅ Query executed successfully, ${results.length} results found`
+    );
+    const limit = pipelineValidator.isCapped(executedPipeline, results.length)
+      ? pipelineValidator.maxLimit
+      : null;
+    if (limit) console.log(`⚠️ Results were capped at ${limit} rows`);
+    const page = queryRunService.firstPage(results);
+    const visualization = visualizationBuilder.build(results, executedPipeline);
+    const statistics = statisticsEngine.analyze(results);
+    emit("results", {
+      resultCount: results.length,
+      capped: Boolean(limit),
+      limit,
+      page,
+      visualization,
+      statistics,
+    });
+
+    // Keep every row so the table can page past the first page
+    const runId = queryRunService.newRunId();
+    await queryRunService.storeResults(runId, results);
+
+    // An analysis written for the same question on the same results can be reused,
+    // unless it was part of a conversation
+    const questionKey = cacheService.questionKey(query);
+    const cached = context.cachedResults;
+    if (
+      cached &&
+      cached.analysis &&
+      cached.questionKey === questionKey &&
+      history.length === 0
+    ) {
+      console.log("⚡ Using cached analysis");
+      emit("token", { text: JSON.stringify(cached.analysis) });
+      return this.finishRun(
+        query,
+        runId,
+        { results, executedPipeline, entities, limit, page, visualization, statistics },
+        {
+          analysis: cached.analysis,
+          verification: cached.verification,
+          coverage: cached.coverage,
+        },
+        context
+      );
+    }
+
+    // Step 3: Analyze results, streaming tokens when a client is listening.
+    // Large results are rolled up and summarized in chunks first, once for both drafts
+    const summary = await auditService.timeStage(trace, "summarizeMs", () =>
+      resultSummarizer.summarize(query, results, {
+        limit,
+        onUsage,
+        onStage: (stage) => emit("stage", stage),
+      })
+    );
+    const { coverage } = summary;
+
+    console.log("🔄 Analyzing results...");
+    emit("stage", { stage: "analyzing" });
+    const analyzeOptions = {
+      statistics,
+      summary,
+      onUsage,
+      ...(context.streaming && { onToken: (text) => emit("token", { text }) }),
+    };
+    let analysis = await auditService.timeStage(trace, "analyzeMs", () =>
+      resultAnalyzer.analyzeResults(query, results, history, analyzeOptions)
+    );
+    console.log("✅ Results analyzed");
+
+    // Step 4: Check the analysis against the data, rewriting it once if too much is unsupported
+    emit("stage", { stage: "verifying" });
+    let verification = analysisVerifier.verify(analysis, results, {
+      statistics,
+      question: query,
+    });
+    if (analysisVerifier.needsCorrection(verification)) {
+      console.log(
+        `🚨 ${verification.unsupported.length}/${verification.claims} claims unsupported, regenerating analysis...`
+      );
+      emit("stage", { stage: "regenerating" });
+      analysis = await auditService.timeStage(trace, "reanalyzeMs", () =>
+        resultAnalyzer.analyzeResults(query, results, history, {
+          ...analyzeOptions,
+          corrections: analysisVerifier.describeIssues(verification),
+        })
+      );
+      verification = {
+        ...analysisVerifier.verify(analysis, results, { statistics, question: query }),
+        regenerated: true,
+      };
+    } else {
+      verification.regenerated = false;
+    }
+
+    // A follow-up's analysis depends on the conversation, so it is only kept
+    // for first questions; follow-ups leave an existing entry alone
+    if (history.length === 0 || !cached) {
+      await cacheService.setResults(context.resultKey, {
+        pipeline: executedPipeline,
+        results,
+        questionKey: history.length === 0 ? questionKey : null,
+        analysis: history.length === 0 ? analysis : null,
+        verification: history.length === 0 ? verification : null,
+        coverage,
+      });
+    }
+
+    return this.finishRun(
+      query,
+      runId,
+      { results, executedPipeline, entities, limit, page, visualization, statistics },
+      { analysis, verification, coverage },
+      context
+    );
+  }
+
+  // Save the run, add it to the conversation and build the response
+  async finishRun(query, runId, run, { analysis, verification, coverage }, context) {
+    const { history, conversationId, ownerId, scope, trace } = context;
+    const { results, executedPipeline, entities, limit, page, visualization, statistics } = run;
+
+    trace.analysis = analysis;
+    trace.verification = {
+      claims: verification.claims,
+      unsupported: verification.unsupported.length,
+      mismatchRate: verification.mismatchRate,
+      regenerated: verification.regenerated,
+    };
+    trace.coverage = coverage;
+
+    await queryRunService.saveRun({
+      runId,
+      question: query,
+      pipeline: executedPipeline,
+      resultCount: results.length,
+      capped: Boolean(limit),
+      limit,
+      analysis,
+      visualization,
+      statistics,
+      verification,
+      coverage,
+      conversationId,
+      ownerId,
+      scope,
+    });
+    trace.runId = runId;
+
+    await conversationService.appendTurn(
+      conversationId,
+      {
+        question: query,
+        pipeline: executedPipeline,
+        resultCount: results.length,
+        analysis,
+      },
+      ownerId
+    );
+
+    return {
+      query: query,
+      runId,
+      conversationId,
+      turn: history.length + 1,
+      resultCount: results.length,
+      // The $limit cap was reached, so more documents may have matched
+      capped: Boolean(limit),
+      limit,
+      entities,
+      analysis: analysis,
+      verification,
+      coverage,
+      pipeline: executedPipeline,
+      page,
+      visualization,
+      statistics,
+      cache: context.cache,
+      executionTime: new Date().toISOString(),
+    };
+  }
+
+  uniqueMentions(mentions) {
+    const seen = new Set();
+    return mentions.filter((m) => {
+      const key = m.mention.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = new QueryService();
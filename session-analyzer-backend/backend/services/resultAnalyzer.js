@@ -1,10 +1,25 @@
-const OpenAI = require("openai");
+const llmClient = require("./llmProvider");
+const statisticsEngine = require("./statisticsEngine");
+const resultSummarizer = require("./resultSummarizer");
+
+const LIST_SECTIONS = ["patterns", "concerns", "recommendations"];
+
+// Shared by the analysis and repair prompts
+const ANALYSIS_FORMAT = `Reply with a single JSON object and nothing else (no markdown, no code fences):
+{
+  "answer": "Direct answer to the user's question in one to three sentences",
+  "metrics": [{ "label": "Average rating", "value": "4.3 out of 5", "context": "across 120 sessions" }],
+  "tables": [{ "title": "Average rating by instructor", "columns": ["Instructor", "Average rating", "Sessions"], "rows": [["Jane Doe", 4.6, 12]] }],
+  "patterns": ["Notable pattern, comparison or trend"],
+  "concerns": ["Low ratings, poor attendance or other problems"],
+  "recommendations": ["Actionable next step"]
+}
+- "answer" is required; use an empty array for any other part that doesn't apply
+- Table cells are strings or numbers, and every row has exactly one cell per column
+- Metric values are short strings or numbers; put explanations in "context"`;
 
 class ResultAnalyzer {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
     this.isInitialized = false;
     this.context = null;
   }
@@ -32,17 +47,17 @@ ANALYSIS GUIDELINES:
 6. Keep responses focused and actionable
 7. If no data found, explain what this means
 8. Format numbers clearly (e.g., "4.2 out of 5", "85% attendance")
-9. For large result sets, organize data in tables or clear lists
+9. For large result sets, organize data in tables
 10. Always show ALL instructors/domains/entities when user asks for "each" or "all"
+11. When "Verified statistics" are provided, use those exact figures for averages, trends and comparisons. Only call a trend or a difference real when it is marked significant
+12. When the results were summarized (see "Coverage"), base the analysis on the field aggregates, rollups and notes, and say so in the answer if some records were only covered by the rollups
 
 RESPONSE FORMAT:
-- For aggregated queries (like "average rating for each instructor"), provide a COMPLETE list or table of ALL results
-- Start with a direct answer to the user's question
+${ANALYSIS_FORMAT}
+- For aggregated queries (like "average rating for each instructor"), put ALL results in a table, one row per result
 - Show ALL data when user asks for "each", "all", or wants a complete list
-- Follow with supporting details and context
-- End with actionable insights or recommendations if applicable
-- Keep it conversational but professional
-- Format large lists in readable tables or organized sections
+- Use "metrics" for the few headline figures, not for every row
+- Keep the wording conversational but professional
 
 Do not:
 - Include raw MongoDB queries or technical details
@@ -53,35 +68,74 @@ Do not:
     console.log("✅ Result Analyzer context initialized");
   }
 
-  async analyzeResults(originalQuery, results) {
+  // history: previous conversation turns ({ question, resultCount, summary }), oldest first
+  // options.onToken streams the raw reply (JSON text) as the model produces it
+  // options.onUsage({ stage, model, usage }) receives the LLM token usage
+  // options.statistics: figures from statisticsEngine.analyze, computed here when omitted
+  // options.corrections: issues found by analysisVerifier in a previous draft
+  // options.summary: resultSummarizer.summarize output, computed here when omitted
+  // options.limit: the row cap the results stopped at, passed on to resultSummarizer
+  // Returns { answer, metrics, tables, patterns, concerns, recommendations }; replies
+  // that aren't valid are repaired once, and kept as a plain answer if that fails too
+  async analyzeResults(originalQuery, results, history = [], options = {}) {
     if (!this.isInitialized) {
       throw new Error("Result Analyzer not initialized");
     }
 
     try {
-      // Prepare results summary for analysis
-      const resultSummary = this.prepareResultSummary(results);
+      // Deterministic figures first, so the model doesn't estimate them
+      const statistics =
+        options.statistics !== undefined
+          ? options.statistics
+          : statisticsEngine.analyze(results);
+      const statisticsBlock = statistics
+        ? `\n\n${statisticsEngine.describe(statistics)}`
+        : "";
+
+      // Every row is covered, through rollups and chunk summaries when they don't all fit
+      const summary =
+        options.summary ||
+        (await resultSummarizer.summarize(originalQuery, results, {
+          limit: options.limit,
+          onUsage: options.onUsage,
+        }));
 
-      const analysisPrompt = `User asked: "${originalQuery}"
+      const correctionsBlock = options.corrections
+        ? `\n\n${options.corrections}`
+        : "";
+
+      const analysisPrompt = `${this.prepareHistorySummary(history)}User asked: "${originalQuery}"
 
 Query returned ${results.length} results.
 
-${resultSummary}
+${summary.text}
 
-Please analyze these results and provide clear insights about what this data tells us in response to the user's question.`;
+Coverage: ${summary.coverage.description}${statisticsBlock}
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          { role: "system", content: this.context },
-          { role: "user", content: analysisPrompt },
-        ],
-        temperature: 0.3,
-        max_tokens: 800,
-      });
+Please analyze these results and provide clear insights about what this data tells us in response to the user's question, in the JSON format described above.${correctionsBlock}`;
+
+      const messages = [
+        { role: "system", content: this.context },
+        { role: "user", content: analysisPrompt },
+      ];
+      const response = options.onToken
+        ? await llmClient.stream("analyze", messages, options.onToken)
+        : await llmClient.complete("analyze", messages);
+      if (options.onUsage) {
+        options.onUsage({ stage: "analyze", model: response.model, usage: response.usage });
+      }
 
-      const analysis = response.choices[0].message.content.trim();
-      console.log("Generated Analysis:", analysis);
+      let { analysis, errors } = this.parseAnalysis(response.content);
+      if (!analysis) {
+        console.log(`⚠️ Analysis is not valid (${errors.join("; ")}), repairing...`);
+        ({ analysis, errors } = await this.repairAnalysis(response.content, errors, options));
+      }
+      if (!analysis) {
+        console.error(`❌ Analysis repair failed (${errors.join("; ")}), keeping the reply as text`);
+        analysis = this.textAnalysis(response.content);
+      }
+
+      console.log("Generated Analysis:", JSON.stringify(analysis, null, 2));
       return analysis;
     } catch (error) {
       console.error("Error analyzing results:", error.message);
@@ -89,85 +143,182 @@ Please analyze these results and provide clear insights about what this data tel
     }
   }
 
-  prepareResultSummary(results) {
-    if (!results || results.length === 0) {
-      return "No data found matching the query criteria.";
+  // Ask the model to turn an invalid reply into the expected format without changing its content
+  async repairAnalysis(content, errors, options = {}) {
+    const response = await llmClient.complete("analyze", [
+      {
+        role: "system",
+        content: `You convert data analysis replies into a JSON format. Keep the wording and figures of the reply; do not add, drop or change facts.\n\n${ANALYSIS_FORMAT}`,
+      },
+      {
+        role: "user",
+        content: `Problems with the reply: ${errors.join("; ")}\n\nReply to convert:\n${content}`,
+      },
+    ]);
+    if (options.onUsage) {
+      options.onUsage({ stage: "analyze-repair", model: response.model, usage: response.usage });
     }
+    return this.parseAnalysis(response.content);
+  }
 
-    // For aggregated results (like instructor averages, domain stats), show ALL data
-    if (this.isAggregatedData(results)) {
-      return `Complete aggregated results (${
-        results.length
-      } records):\n${JSON.stringify(results, null, 2)}`;
+  // Returns { analysis, errors }; analysis is null unless the reply is valid
+  parseAnalysis(content) {
+    const text = String(content || "")
+      .trim()
+      .replace(/^```(?:json)?\s*/i, "")
+      .replace(/\s*```$/, "");
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end < start) {
+      return { analysis: null, errors: ["Reply is not a JSON object"] };
     }
 
-    // If results are simple and small, show all
-    if (results.length <= 10) {
-      return `Complete results: ${JSON.stringify(results, null, 2)}`;
+    let value;
+    try {
+      value = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return { analysis: null, errors: [`Invalid JSON: ${error.message}`] };
     }
 
-    // For large individual record sets, provide detailed summary
-    let summary = `Data overview:\n`;
-    summary += `- Total records: ${results.length}\n`;
-
-    // Show more sample data for large datasets
-    const sampleData = results.slice(0, 10);
-    summary += `- Sample data (first 10 records): ${JSON.stringify(
-      sampleData,
-      null,
-      2
-    )}\n`;
-
-    // Look for rating patterns if available
-    const ratingsFound = results.filter(
-      (r) => r.ratings && r.ratings.overallAverage
-    );
-    if (ratingsFound.length > 0) {
-      const avgRating =
-        ratingsFound.reduce((sum, r) => sum + r.ratings.overallAverage, 0) /
-        ratingsFound.length;
-      summary += `- Average rating across results: ${avgRating.toFixed(2)}\n`;
-    }
+    const errors = this.validateAnalysis(value);
+    return {
+      analysis: errors.length === 0 ? this.normalizeAnalysis(value) : null,
+      errors,
+    };
+  }
 
-    // Look for instructor patterns
-    const instructors = [
-      ...new Set(results.map((r) => r.instructor).filter(Boolean)),
-    ];
-    if (instructors.length > 0) {
-      summary += `- Unique instructors: ${instructors.length} (${instructors
-        .slice(0, 5)
-        .join(", ")}${instructors.length > 5 ? "..." : ""})\n`;
+  validateAnalysis(value) {
+    const errors = [];
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return ["Reply must be a JSON object"];
     }
 
-    // Look for domain patterns
-    const domains = [...new Set(results.map((r) => r.domain).filter(Boolean))];
-    if (domains.length > 0) {
-      summary += `- Domains covered: ${domains.join(", ")}\n`;
+    const isText = (v) => typeof v === "string" && v.trim() !== "";
+    const isCell = (v) => v === null || typeof v === "string" || typeof v === "number";
+    const optionalArray = (key) => {
+      if (value[key] === undefined || Array.isArray(value[key])) return value[key] || [];
+      errors.push(`"${key}" must be an array`);
+      return [];
+    };
+
+    if (!isText(value.answer)) {
+      errors.push(`"answer" must be a non-empty string`);
     }
 
-    return summary;
+    optionalArray("metrics").forEach((metric, i) => {
+      if (!metric || !isText(metric.label)) {
+        errors.push(`metrics[${i}].label must be a non-empty string`);
+      }
+      if (!metric || !(isText(metric.value) || typeof metric.value === "number")) {
+        errors.push(`metrics[${i}].value must be a string or number`);
+      }
+      if (metric && metric.context && typeof metric.context !== "string") {
+        errors.push(`metrics[${i}].context must be a string`);
+      }
+    });
+
+    optionalArray("tables").forEach((table, i) => {
+      const columns = table && table.columns;
+      if (!Array.isArray(columns) || columns.length === 0 || !columns.every(isText)) {
+        errors.push(`tables[${i}].columns must be a non-empty array of strings`);
+        return;
+      }
+      if (!Array.isArray(table.rows)) {
+        errors.push(`tables[${i}].rows must be an array`);
+        return;
+      }
+      table.rows.forEach((row, j) => {
+        if (!Array.isArray(row) || row.length !== table.columns.length || !row.every(isCell)) {
+          errors.push(
+            `tables[${i}].rows[${j}] must have ${table.columns.length} string or number cells`
+          );
+        }
+      });
+    });
+
+    LIST_SECTIONS.forEach((key) => {
+      optionalArray(key).forEach((item, i) => {
+        if (typeof item !== "string") errors.push(`${key}[${i}] must be a string`);
+      });
+    });
+
+    return errors;
+  }
+
+  // Trim text and fill in optional parts so consumers never check for them
+  normalizeAnalysis(value) {
+    const analysis = {
+      answer: value.answer.trim(),
+      metrics: (value.metrics || []).map((metric) => ({
+        label: metric.label.trim(),
+        value: typeof metric.value === "string" ? metric.value.trim() : metric.value,
+        context: metric.context ? metric.context.trim() : null,
+      })),
+      tables: (value.tables || []).map((table) => ({
+        title: typeof table.title === "string" && table.title.trim() ? table.title.trim() : null,
+        columns: table.columns.map((column) => column.trim()),
+        rows: table.rows,
+      })),
+    };
+    LIST_SECTIONS.forEach((key) => {
+      analysis[key] = (value[key] || []).map((item) => item.trim()).filter(Boolean);
+    });
+    return analysis;
   }
 
-  // Helper method to identify if results are aggregated data
-  isAggregatedData(results) {
-    if (!results || results.length === 0) return false;
-
-    // Check if results look like aggregation output
-    const firstResult = results[0];
-
-    // Common aggregation patterns
-    const hasAggregationFields =
-      firstResult &&
-      firstResult.hasOwnProperty("_id") &&
-      (firstResult.hasOwnProperty("avgRating") ||
-        firstResult.hasOwnProperty("averageRating") ||
-        firstResult.hasOwnProperty("totalSessions") ||
-        firstResult.hasOwnProperty("count") ||
-        firstResult.hasOwnProperty("sum") ||
-        firstResult.hasOwnProperty("avg"));
-
-    // If it has aggregation fields and is reasonable size, show all
-    return hasAggregationFields && results.length <= 200;
+  // Last resort when the reply can't be repaired: show it as the answer
+  textAnalysis(content) {
+    const analysis = { answer: String(content || "").trim(), metrics: [], tables: [] };
+    LIST_SECTIONS.forEach((key) => {
+      analysis[key] = [];
+    });
+    return analysis;
+  }
+
+  // Plain-text version for conversation summaries, exports, the CLI and verification.
+  // Runs stored before analyses were structured are plain strings already
+  toText(analysis) {
+    if (!analysis) return "";
+    if (typeof analysis === "string") return analysis;
+
+    const lines = [analysis.answer];
+    if (analysis.metrics.length > 0) {
+      lines.push("", "Key metrics:");
+      analysis.metrics.forEach((metric) => {
+        lines.push(
+          `- ${metric.label}: ${metric.value}${metric.context ? ` (${metric.context})` : ""}`
+        );
+      });
+    }
+    analysis.tables.forEach((table) => {
+      lines.push("", `${table.title || "Table"}:`, table.columns.join(" | "));
+      table.rows.forEach((row) => {
+        lines.push(row.map((cell) => (cell === null ? "" : String(cell))).join(" | "));
+      });
+    });
+    [
+      ["Patterns", analysis.patterns],
+      ["Concerns", analysis.concerns],
+      ["Recommendations", analysis.recommendations],
+    ].forEach(([title, items]) => {
+      if (items.length === 0) return;
+      lines.push("", `${title}:`, ...items.map((item) => `- ${item}`));
+    });
+    return lines.join("\n");
+  }
+
+  // Earlier questions and answers, so follow-ups can be compared with them
+  prepareHistorySummary(history) {
+    if (!history || history.length === 0) return "";
+
+    const turns = history
+      .map(
+        (turn, index) =>
+          `${index + 1}. "${turn.question}" (${turn.resultCount} results)\n   Answer: ${turn.summary}`
+      )
+      .join("\n");
+
+    return `Earlier in this conversation:\n${turns}\n\n`;
   }
 }
 
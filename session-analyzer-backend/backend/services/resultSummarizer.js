@@ -0,0 +1,369 @@
+const llmClient = require("./llmProvider");
+const visualizationBuilder = require("./visualizationBuilder");
+const dateResolver = require("./dateResolver");
+
+// Groups rolled up over every row, when the results have the field
+const ROLLUP_DIMENSIONS = [
+  { name: "instructor", field: "instructor" },
+  { name: "domain", field: "domain" },
+  { name: "month", field: "sessionDate" },
+  { name: "cohort", field: "cohorts" },
+];
+// Numeric fields averaged per group, most common first
+const ROLLUP_MAX_METRICS = 4;
+const ROLLUP_MAX_GROUPS = 25;
+const ROLLUP_MIN_GROUPS = 3;
+// Rough size of a token for the models we use
+const CHARS_PER_TOKEN = 4;
+
+const CHUNK_PROMPT = `You summarize one slice of a database query result for a data analyst.
+Report what stands out in these rows: the highest and lowest values, outliers, repeated problems and notable differences between instructors, domains or cohorts.
+Quote names and figures exactly as they appear in the rows. Reply with at most 8 short bullet points and nothing else.`;
+
+const MERGE_PROMPT = `You merge notes about slices of the same query result into one set of notes for a data analyst.
+Keep names and figures exactly as written, drop repetition and keep the most significant points.
+Reply with at most 15 short bullet points and nothing else.`;
+
+// Turns a result set of any size into text that fits the analysis prompt.
+// Small results are sent whole. Otherwise totals and group rollups are computed
+// locally over every row, and the rows themselves are summarized in chunks
+// (map) whose notes are merged when they don't fit either (reduce)
+class ResultSummarizer {
+  constructor() {
+    // Prompt space for result data, next to the instructions and statistics
+    this.dataTokens = parseInt(process.env.ANALYSIS_DATA_TOKENS, 10) || 4000;
+    this.chunkTokens = parseInt(process.env.SUMMARY_CHUNK_TOKENS, 10) || 3000;
+    this.maxChunks = parseInt(process.env.SUMMARY_MAX_CHUNKS, 10) || 8;
+  }
+
+  // Returns { text, coverage } where coverage is
+  // { mode, totalRows, detailRows, chunks, description }:
+  // mode "complete" (every row sent), "map-reduce" (every row summarized)
+  // or "partial" (rows past maxChunks only counted in the rollups, or the query
+  // stopped at the row cap)
+  // options.limit: the row cap the results stopped at (see pipelineValidator.isCapped)
+  // options.onStage({ stage: "summarizing", chunks }) is called before chunks are summarized
+  // options.onUsage({ stage, model, usage }) receives the LLM token usage
+  async summarize(question, results, options = {}) {
+    const total = results.length;
+    if (total === 0) {
+      return {
+        text: "No data found matching the query criteria.",
+        coverage: this.coverage("complete", 0, 0, 0, options.limit),
+      };
+    }
+
+    const full = `Complete results (${total} records):\n${JSON.stringify(results, null, 2)}`;
+    if (this.estimateTokens(full) <= this.dataTokens) {
+      return { text: full, coverage: this.coverage("complete", total, total, 0, options.limit) };
+    }
+
+    // Half of the space at most goes to the overview, the rest to the rows
+    const overview = this.buildOverview(results, Math.floor(this.dataTokens / 2));
+    const detailTokens = this.dataTokens - this.estimateTokens(overview);
+    const lines = results.map((row) => this.formatRow(row));
+
+    if (this.estimateTokens(lines.join("\n")) <= detailTokens) {
+      return {
+        text: `${overview}\n\nAll ${total} records:\n${lines.join("\n")}`,
+        coverage: this.coverage("complete", total, total, 0, options.limit),
+      };
+    }
+
+    const chunks = this.chunkLines(lines, this.chunkTokens);
+    const summarized = chunks.slice(0, this.maxChunks);
+    if (options.onStage) {
+      options.onStage({ stage: "summarizing", chunks: summarized.length });
+    }
+    console.log(
+      `🔄 Summarizing ${summarized.length} of ${chunks.length} chunks of ${total} records...`
+    );
+
+    // One at a time: chunks are large and providers rate-limit parallel requests
+    const notes = [];
+    let detailRows = 0;
+    for (const chunk of summarized) {
+      try {
+        const summary = await this.summarizeChunk(question, chunk, total, options);
+        notes.push(`Records ${chunk.from}-${chunk.to}:\n${summary}`);
+        detailRows += chunk.lines.length;
+      } catch (error) {
+        // The rollups still cover these rows, so the analysis can go ahead
+        console.error(
+          `⚠️ Summarizing records ${chunk.from}-${chunk.to} failed:`,
+          error.message
+        );
+      }
+    }
+
+    let detail = notes.join("\n\n");
+    if (this.estimateTokens(detail) > detailTokens) {
+      detail = await this.mergeNotes(question, detail, options);
+    }
+    detail = this.truncate(detail, detailTokens);
+
+    const coverage = this.coverage(
+      detailRows === total ? "map-reduce" : "partial",
+      total,
+      detailRows,
+      notes.length,
+      options.limit
+    );
+    return {
+      text: `${overview}\n\nNotes from reading the records in ${notes.length} chunks:\n${
+        detail || "(none)"
+      }`,
+      coverage,
+    };
+  }
+
+  coverage(mode, totalRows, detailRows, chunks, limit = null) {
+    let description;
+    if (mode === "complete") {
+      description = `All ${totalRows} records were given to the analysis.`;
+    } else if (mode === "map-reduce") {
+      description = `All ${totalRows} records were covered: totals and group rollups were computed over every record and the records were summarized in ${chunks} chunks.`;
+    } else {
+      const percent = totalRows > 0 ? Math.round((detailRows / totalRows) * 100) : 0;
+      description = `Totals and group rollups cover all ${totalRows} records; ${detailRows} records (${percent}%) were also summarized in ${chunks} chunks, the rest only through the rollups.`;
+    }
+    // Rows past the cap were never read, whichever way the returned ones were
+    if (limit) {
+      return {
+        mode: "partial",
+        totalRows,
+        detailRows,
+        chunks,
+        limit,
+        description: `The query stopped at the ${limit}-record limit, so more records may match than were returned. ${description.replace(/records/, "returned records")}`,
+      };
+    }
+    return { mode, totalRows, detailRows, chunks, description };
+  }
+
+  // Field aggregates and group rollups over every row, with fewer groups
+  // per dimension until they fit maxTokens
+  buildOverview(results, maxTokens) {
+    const fields = this.summarizeFields(results);
+    let maxGroups = ROLLUP_MAX_GROUPS;
+    let overview;
+    do {
+      const rollups = this.buildRollups(results, maxGroups);
+      overview = `Field aggregates over all ${results.length} records:\n${fields}${
+        rollups ? `\n\nRollups over all ${results.length} records:\n${rollups}` : ""
+      }`;
+      maxGroups = Math.floor(maxGroups / 2);
+    } while (this.estimateTokens(overview) > maxTokens && maxGroups >= ROLLUP_MIN_GROUPS);
+    return this.truncate(overview, maxTokens);
+  }
+
+  buildRollups(results, maxGroups) {
+    const flatRows = results.map((row) => visualizationBuilder.flatten(row));
+    const metrics = this.rollupMetrics(flatRows);
+
+    return ROLLUP_DIMENSIONS.map(({ name, field }) => {
+      const groups = new Map();
+      flatRows.forEach((row) => {
+        this.groupKeys(row[field], name).forEach((key) => {
+          if (!groups.has(key)) {
+            groups.set(key, { count: 0, sums: {}, counts: {} });
+          }
+          const group = groups.get(key);
+          group.count++;
+          metrics.forEach((metric) => {
+            if (typeof row[metric] !== "number") return;
+            group.sums[metric] = (group.sums[metric] || 0) + row[metric];
+            group.counts[metric] = (group.counts[metric] || 0) + 1;
+          });
+        });
+      });
+      // A single group says nothing a field aggregate doesn't
+      if (groups.size < 2) return null;
+
+      const entries = [...groups.entries()];
+      if (name === "month") entries.sort((a, b) => a[0].localeCompare(b[0]));
+      else entries.sort((a, b) => b[1].count - a[1].count);
+
+      const lines = entries.slice(0, maxGroups).map(([key, group]) => {
+        const means = metrics
+          .filter((metric) => group.counts[metric])
+          .map(
+            (metric) =>
+              `${metric} ${this.round(group.sums[metric] / group.counts[metric])}`
+          );
+        return `  - ${key}: ${group.count} records${means.length ? `; mean ${means.join(", ")}` : ""}`;
+      });
+      if (entries.length > maxGroups) {
+        lines.push(`  - ... ${entries.length - maxGroups} more groups`);
+      }
+      return `By ${name} (${groups.size} groups):\n${lines.join("\n")}`;
+    })
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  rollupMetrics(flatRows) {
+    const counts = new Map();
+    flatRows.forEach((row) => {
+      Object.entries(row).forEach(([key, value]) => {
+        if (key === "_id" || typeof value !== "number") return;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, ROLLUP_MAX_METRICS)
+      .map(([key]) => key);
+  }
+
+  // Months are read in the configured timezone; cohorts may be lists
+  groupKeys(value, dimension) {
+    if (value === null || value === undefined || value === "") return [];
+    if (dimension === "month") {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return [];
+      const parts = dateResolver.zoneParts(date);
+      return [`${parts.year}-${String(parts.month).padStart(2, "0")}`];
+    }
+    return [...new Set([].concat(value).map(String))];
+  }
+
+  // One line per field: numeric range and mean, date range, or the most common values
+  summarizeFields(results) {
+    const fields = new Map();
+    results.forEach((row) => {
+      Object.entries(visualizationBuilder.flatten(row)).forEach(([key, value]) => {
+        if (key === "_id" || value === null || value === undefined) return;
+        if (!fields.has(key)) {
+          fields.set(key, { count: 0, numbers: [], dates: [], values: new Map() });
+        }
+        const field = fields.get(key);
+        field.count++;
+        if (typeof value === "number") {
+          field.numbers.push(value);
+        } else if (value instanceof Date) {
+          field.dates.push(value.getTime());
+        } else {
+          [].concat(value).forEach((item) => {
+            const text = String(item).slice(0, 80);
+            field.values.set(text, (field.values.get(text) || 0) + 1);
+          });
+        }
+      });
+    });
+
+    const lines = [];
+    fields.forEach((field, key) => {
+      if (field.numbers.length > 0) {
+        const sum = field.numbers.reduce((total, n) => total + n, 0);
+        lines.push(
+          `  - ${key} (${field.numbers.length} values): min ${Math.min(
+            ...field.numbers
+          )}, max ${Math.max(...field.numbers)}, mean ${(sum / field.numbers.length).toFixed(
+            2
+          )}, sum ${Math.round(sum * 100) / 100}`
+        );
+      } else if (field.dates.length > 0) {
+        lines.push(
+          `  - ${key}: ${new Date(Math.min(...field.dates)).toISOString().slice(0, 10)} to ${new Date(
+            Math.max(...field.dates)
+          )
+            .toISOString()
+            .slice(0, 10)}`
+        );
+      } else if (field.values.size > 0) {
+        const top = [...field.values.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([value, count]) => `${value} (${count})`)
+          .join(", ");
+        lines.push(
+          `  - ${key}: ${field.values.size} distinct values; most common: ${top}${
+            field.values.size > 10 ? ", ..." : ""
+          }`
+        );
+      }
+    });
+    return lines.join("\n");
+  }
+
+  // Compact "field: value; ..." line, much shorter than indented JSON
+  formatRow(row) {
+    return Object.entries(visualizationBuilder.flatten(row))
+      .filter(([key, value]) => key !== "_id" && value !== null && value !== undefined)
+      .map(([key, value]) => {
+        let text;
+        if (value instanceof Date) text = value.toISOString().slice(0, 10);
+        else if (typeof value === "number") text = String(this.round(value));
+        else text = [].concat(value).join(", ");
+        return `${key}: ${text.replace(/\s+/g, " ")}`;
+      })
+      .join("; ");
+  }
+
+  // Consecutive lines in chunks of at most maxTokens; from/to are 1-based record numbers
+  chunkLines(lines, maxTokens) {
+    const chunks = [];
+    let current = null;
+    lines.forEach((line, index) => {
+      const text = this.truncate(line, maxTokens);
+      const tokens = this.estimateTokens(text) + 1;
+      if (!current || (current.tokens + tokens > maxTokens && current.lines.length > 0)) {
+        current = { from: index + 1, to: index + 1, lines: [], tokens: 0 };
+        chunks.push(current);
+      }
+      current.lines.push(text);
+      current.tokens += tokens;
+      current.to = index + 1;
+    });
+    return chunks;
+  }
+
+  async summarizeChunk(question, chunk, total, options) {
+    const response = await llmClient.complete("summarize", [
+      { role: "system", content: CHUNK_PROMPT },
+      {
+        role: "user",
+        content: `The user asked: "${question}"\n\nRecords ${chunk.from}-${chunk.to} of ${total}:\n${chunk.lines.join(
+          "\n"
+        )}`,
+      },
+    ]);
+    if (options.onUsage) {
+      options.onUsage({ stage: "summarize", model: response.model, usage: response.usage });
+    }
+    return response.content;
+  }
+
+  // Reduce step for notes that together are still too long; keeps them if merging fails
+  async mergeNotes(question, notes, options) {
+    try {
+      const response = await llmClient.complete("summarize", [
+        { role: "system", content: MERGE_PROMPT },
+        { role: "user", content: `The user asked: "${question}"\n\n${notes}` },
+      ]);
+      if (options.onUsage) {
+        options.onUsage({ stage: "summarize-merge", model: response.model, usage: response.usage });
+      }
+      return response.content;
+    } catch (error) {
+      console.error("⚠️ Merging chunk summaries failed:", error.message);
+      return notes;
+    }
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  truncate(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    return text.length > maxChars ? `${text.slice(0, maxChars - 3)}...` : text;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new ResultSummarizer();
@@ -0,0 +1,350 @@
+const crypto = require("crypto");
+const cron = require("node-cron");
+const mongoService = require("./mongoService");
+const queryGenerator = require("./queryGenerator");
+const resultAnalyzer = require("./resultAnalyzer");
+const pipelineValidator = require("./pipelineValidator");
+const visualizationBuilder = require("./visualizationBuilder");
+const queryRunService = require("./queryRunService");
+const deliveryService = require("./deliveryService");
+const authService = require("./authService");
+const statisticsEngine = require("./statisticsEngine");
+const dateResolver = require("./dateResolver");
+const dateNormalizer = require("./dateNormalizer");
+const resultSummarizer = require("./resultSummarizer");
+
+class SavedQueryService {
+  constructor() {
+    // Rows kept in each snapshot; the full set can be regenerated from the pipeline
+    this.snapshotMaxRows =
+      parseInt(process.env.SNAPSHOT_MAX_ROWS, 10) || 1000;
+    // Every scheduled run calls the LLM, so only admins may schedule more often
+    this.minScheduleMinutes =
+      parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES, 10) || 60;
+  }
+
+  getCollection() {
+    return mongoService.getCollection("savedQueries");
+  }
+
+  getSnapshotCollection() {
+    return mongoService.getCollection("savedQuerySnapshots");
+  }
+
+  // Returns a list of problems with the input; empty when it is valid
+  // principal: the caller, whose role decides the allowed schedules and webhooks
+  validateInput(input, { partial = false, principal = null } = {}) {
+    const errors = [];
+
+    if (!partial || input.name !== undefined) {
+      if (!input.name || String(input.name).trim() === "") {
+        errors.push("name is required");
+      }
+    }
+    if (!partial || input.question !== undefined) {
+      if (!input.question || String(input.question).trim() === "") {
+        errors.push("question is required");
+      }
+    }
+    const isAdmin = !principal || principal.role === "admin";
+    if (input.schedule && !cron.validate(input.schedule)) {
+      errors.push(`schedule "${input.schedule}" is not a valid cron expression`);
+    } else if (
+      input.schedule &&
+      !isAdmin &&
+      this.scheduleIntervalMinutes(input.schedule) < this.minScheduleMinutes
+    ) {
+      errors.push(
+        `schedule "${input.schedule}" runs more often than every ${this.minScheduleMinutes} minutes`
+      );
+    }
+    if (input.pipeline) {
+      const validation = pipelineValidator.validate(input.pipeline);
+      validation.errors.forEach((e) => errors.push(`pipeline ${e.path}: ${e.message}`));
+    }
+
+    const delivery = input.delivery || {};
+    if (delivery.email !== undefined) {
+      const emails = Array.isArray(delivery.email) ? delivery.email : [delivery.email];
+      emails
+        .filter((email) => !/^[^\s@]+@[^\s@]+$/.test(email))
+        .forEach((email) => errors.push(`"${email}" is not a valid email address`));
+    }
+    if (delivery.webhookUrl) {
+      const problem = deliveryService.checkWebhookUrl(delivery.webhookUrl, principal);
+      if (problem) errors.push(`delivery.webhookUrl ${problem}`);
+    }
+
+    return errors;
+  }
+
+  // Shortest gap between two runs of a cron expression, from its second, minute and
+  // hour fields. Day fields only make runs rarer, so this never overestimates
+  scheduleIntervalMinutes(schedule) {
+    const fields = schedule.trim().split(/\s+/);
+    if (fields.length === 6 && this.expandCronField(fields[0], 0, 59).length > 1) return 0;
+
+    const [minuteField, hourField] = fields.slice(-5);
+    const minutes = this.expandCronField(minuteField, 0, 59);
+    const times = this.expandCronField(hourField, 0, 23)
+      .flatMap((hour) => minutes.map((minute) => hour * 60 + minute))
+      .sort((a, b) => a - b);
+    if (times.length < 2) return 24 * 60;
+
+    let shortest = 24 * 60 - times[times.length - 1] + times[0];
+    for (let i = 1; i < times.length; i++) {
+      shortest = Math.min(shortest, times[i] - times[i - 1]);
+    }
+    return shortest;
+  }
+
+  // Values a cron field matches: *, n, a-b and lists of them, each with an optional /step.
+  // Anything else is taken as every value, the most frequent case
+  expandCronField(field, min, max) {
+    const values = new Set();
+    for (const part of field.split(",")) {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) return this.expandCronField("*", min, max);
+
+      const start = match[1] === "*" ? min : parseInt(match[2], 10);
+      let end = start;
+      if (match[1] === "*") end = max;
+      else if (match[3] !== undefined) end = parseInt(match[3], 10);
+      else if (match[4] !== undefined) end = max;
+      const step = match[4] !== undefined ? Math.max(parseInt(match[4], 10), 1) : 1;
+
+      for (let value = start; value <= Math.min(end, max); value += step) values.add(value);
+    }
+    return [...values];
+  }
+
+  normalizeDelivery(delivery = {}) {
+    return {
+      email: delivery.email
+        ? (Array.isArray(delivery.email) ? delivery.email : [delivery.email])
+        : [],
+      webhookUrl: delivery.webhookUrl || null,
+    };
+  }
+
+  // input: { name, question, schedule?, pipeline? | runId?, delivery? }
+  // A pipeline (given directly or copied from a run) pins the query.
+  // The owner's row restriction is stored and applied on every scheduled run
+  async create(input, principal = null) {
+    const scope = authService.getScope(principal);
+    let pipeline = input.pipeline || null;
+    if (!pipeline && input.runId) {
+      const run = await queryRunService.getRun(input.runId);
+      if (!run || !authService.canAccess(principal, run.scope)) {
+        throw new Error(`Query run ${input.runId} not found`);
+      }
+      pipeline = run.pipeline;
+    }
+    pipeline = pipeline && authService.applyScope(dateNormalizer.normalize(pipeline), scope);
+
+    const now = new Date();
+    const savedQuery = {
+      _id: crypto.randomUUID(),
+      name: input.name.trim(),
+      question: input.question.trim(),
+      pipeline,
+      schedule: input.schedule || null,
+      delivery: this.normalizeDelivery(input.delivery),
+      enabled: input.enabled !== false,
+      ownerId: principal ? principal.id : null,
+      scope,
+      lastRunAt: null,
+      lastSnapshotId: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await this.getCollection().insertOne(savedQuery);
+      return savedQuery;
+    } catch (error) {
+      throw new Error(`Failed to save query: ${error.message}`);
+    }
+  }
+
+  async update(id, input) {
+    const changes = { updatedAt: new Date() };
+    ["name", "question", "schedule", "pipeline", "enabled"].forEach((field) => {
+      if (input[field] !== undefined) changes[field] = input[field];
+    });
+    if (input.delivery !== undefined) {
+      changes.delivery = this.normalizeDelivery(input.delivery);
+    }
+    if (input.pipeline) {
+      const existing = await this.get(id);
+      if (!existing) return null;
+      changes.pipeline = authService.applyScope(
+        dateNormalizer.normalize(input.pipeline),
+        existing.scope
+      );
+    }
+
+    try {
+      return await this.getCollection().findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      throw new Error(`Failed to update saved query: ${error.message}`);
+    }
+  }
+
+  async remove(id) {
+    try {
+      const result = await this.getCollection().deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete saved query: ${error.message}`);
+    }
+  }
+
+  async get(id) {
+    try {
+      return await this.getCollection().findOne({ _id: id });
+    } catch (error) {
+      throw new Error(`Failed to load saved query: ${error.message}`);
+    }
+  }
+
+  // ownerId limits the list to one owner's saved queries
+  async list(ownerId = null) {
+    try {
+      return await this.getCollection()
+        .find(ownerId ? { ownerId } : {})
+        .sort({ name: 1 })
+        .toArray();
+    } catch (error) {
+      throw new Error(`Failed to list saved queries: ${error.message}`);
+    }
+  }
+
+  async listSnapshots(savedQueryId, limit = 20) {
+    try {
+      return await this.getSnapshotCollection()
+        .find({ savedQueryId }, { projection: { results: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      throw new Error(`Failed to list snapshots: ${error.message}`);
+    }
+  }
+
+  async getSnapshot(savedQueryId, snapshotId) {
+    try {
+      return await this.getSnapshotCollection().findOne({
+        _id: snapshotId,
+        savedQueryId,
+      });
+    } catch (error) {
+      throw new Error(`Failed to load snapshot: ${error.message}`);
+    }
+  }
+
+  // Run a saved query, store the snapshot and deliver it
+  async run(id) {
+    const savedQuery = await this.get(id);
+    if (!savedQuery) {
+      throw new Error(`Saved query ${id} not found`);
+    }
+
+    console.log(`📅 Running saved query "${savedQuery.name}"`);
+
+    // Pinned pipelines skip generation so recurring numbers are reproducible
+    const scope = savedQuery.scope || null;
+    let pipeline = authService.applyScope(savedQuery.pipeline, scope);
+    let results;
+    if (pipeline) {
+      results = await mongoService.executeRawQuery(pipeline);
+    } else {
+      // Relative dates ("last week") are resolved at run time, not when saved
+      const dates = dateResolver.resolve(savedQuery.question);
+      const generated = await queryGenerator.generateQuery(
+        savedQuery.question,
+        [],
+        [],
+        { scope, dates }
+      );
+      if (generated.status !== "answerable") {
+        throw new Error(`Saved query needs a clearer question: ${generated.message}`);
+      }
+      pipeline = generated.pipeline;
+      results = await mongoService.executeQueryWithRetry(
+        generated.pipeline,
+        savedQuery.question,
+        2,
+        {
+          onAttempt: (attempt) => {
+            if (!attempt.error) pipeline = attempt.pipeline;
+          },
+          scope,
+          dates,
+        }
+      );
+    }
+
+    const limit = pipelineValidator.isCapped(
+      pipelineValidator.applyLimitCap(pipeline),
+      results.length
+    )
+      ? pipelineValidator.maxLimit
+      : null;
+    const statistics = statisticsEngine.analyze(results);
+    const summary = await resultSummarizer.summarize(savedQuery.question, results, {
+      limit,
+    });
+    const analysis = await resultAnalyzer.analyzeResults(
+      savedQuery.question,
+      results,
+      [],
+      { statistics, summary }
+    );
+
+    const snapshot = {
+      _id: crypto.randomUUID(),
+      savedQueryId: savedQuery._id,
+      name: savedQuery.name,
+      question: savedQuery.question,
+      pipeline,
+      pinned: Boolean(savedQuery.pipeline),
+      resultCount: results.length,
+      capped: Boolean(limit),
+      limit,
+      results: results.slice(0, this.snapshotMaxRows),
+      analysis,
+      statistics,
+      coverage: summary.coverage,
+      visualization: visualizationBuilder.build(results, pipeline),
+      deliveries: [],
+      createdAt: new Date(),
+    };
+
+    snapshot.deliveries = await deliveryService.deliverSnapshot(
+      snapshot,
+      savedQuery.delivery
+    );
+
+    try {
+      await this.getSnapshotCollection().insertOne(snapshot);
+      await this.getCollection().updateOne(
+        { _id: savedQuery._id },
+        { $set: { lastRunAt: snapshot.createdAt, lastSnapshotId: snapshot._id } }
+      );
+    } catch (error) {
+      throw new Error(`Failed to store snapshot: ${error.message}`);
+    }
+
+    console.log(
+      `✅ Saved query "${savedQuery.name}" produced ${results.length} results`
+    );
+    return snapshot;
+  }
+}
+
+module.exports = new SavedQueryService();
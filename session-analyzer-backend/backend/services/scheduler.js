@@ -0,0 +1,78 @@
+const cron = require("node-cron");
+const savedQueryService = require("./savedQueryService");
+const alertService = require("./alertService");
+
+// Runs saved queries and alert evaluation on cron schedules inside a long-running server
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.alertTask = null;
+    this.isRunning = false;
+    this.timezone = process.env.SCHEDULE_TIMEZONE || "UTC";
+    this.alertSchedule = process.env.ALERT_EVALUATION_CRON || "*/30 * * * *";
+  }
+
+  async start() {
+    this.isRunning = true;
+    const savedQueries = await savedQueryService.list();
+    savedQueries.forEach((savedQuery) => this.schedule(savedQuery));
+
+    this.alertTask = cron.schedule(
+      this.alertSchedule,
+      async () => {
+        try {
+          await alertService.evaluateAll();
+        } catch (error) {
+          console.error("❌ Scheduled alert evaluation failed:", error.message);
+        }
+      },
+      { timezone: this.timezone }
+    );
+    console.log(
+      `✅ Scheduler started (${this.tasks.size} scheduled queries, alerts "${this.alertSchedule}")`
+    );
+  }
+
+  // (Re)register a saved query; disabled or unscheduled queries are removed.
+  // A no-op until start() is called, e.g. in serverless handlers
+  schedule(savedQuery) {
+    this.unschedule(savedQuery._id);
+    if (!this.isRunning || !savedQuery.enabled || !savedQuery.schedule) return;
+
+    const task = cron.schedule(
+      savedQuery.schedule,
+      async () => {
+        try {
+          await savedQueryService.run(savedQuery._id);
+        } catch (error) {
+          console.error(
+            `❌ Scheduled run of "${savedQuery.name}" failed:`,
+            error.message
+          );
+        }
+      },
+      { timezone: this.timezone }
+    );
+    this.tasks.set(savedQuery._id, task);
+  }
+
+  unschedule(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.tasks.forEach((task) => task.stop());
+    this.tasks.clear();
+    if (this.alertTask) {
+      this.alertTask.stop();
+      this.alertTask = null;
+    }
+  }
+}
+
+module.exports = new Scheduler();
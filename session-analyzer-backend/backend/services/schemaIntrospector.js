@@ -0,0 +1,171 @@
+const mongoService = require("./mongoService");
+
+// Fields whose distinct values are listed in the prompt so the model uses real names
+const VOCABULARY_FIELDS = ["instructor", "domain", "type", "class", "cohorts"];
+
+// Meaning of fields that can't be inferred from sample values alone
+const FIELD_HINTS = {
+  "ratings.overallAverage": "1-5 scale",
+  "ratings.percentRated": "percentage",
+  "ratings.yesPercent": "percentage",
+  "ratings.noPercent": "percentage",
+};
+
+class SchemaIntrospector {
+  constructor() {
+    this.refreshIntervalMs =
+      parseInt(process.env.SCHEMA_REFRESH_INTERVAL_MS, 10) || 15 * 60 * 1000;
+    this.maxValuesPerField =
+      parseInt(process.env.SCHEMA_MAX_VALUES_PER_FIELD, 10) || 200;
+    // After a failed refresh the last snapshot (or none) is kept this long, so a
+    // database hiccup doesn't rerun the whole introspection on every query
+    this.retryIntervalMs =
+      parseInt(process.env.SCHEMA_RETRY_INTERVAL_MS, 10) || 60 * 1000;
+    this.sampleSize = 20;
+    this.snapshot = null;
+    this.pendingRefresh = null;
+    this.lastFailure = null;
+  }
+
+  isStale() {
+    if (this.lastFailure && Date.now() - this.lastFailure.at < this.retryIntervalMs) {
+      return false;
+    }
+    return (
+      !this.snapshot ||
+      Date.now() - this.snapshot.refreshedAt.getTime() > this.refreshIntervalMs
+    );
+  }
+
+  // Concurrent callers share one in-flight refresh
+  async refreshIfStale() {
+    if (!this.isStale()) {
+      if (!this.snapshot) throw this.lastFailure.error;
+      return this.snapshot;
+    }
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.refresh().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  async refresh() {
+    try {
+      const [samples, stats, dateRange, ...vocabulary] = await Promise.all([
+        mongoService.getSampleData(this.sampleSize),
+        mongoService.getCollectionStats(),
+        mongoService.getDateRange("sessionDate"),
+        ...VOCABULARY_FIELDS.map((field) =>
+          mongoService.getDistinctValues(field)
+        ),
+      ]);
+
+      const values = {};
+      VOCABULARY_FIELDS.forEach((field, i) => {
+        values[field] = vocabulary[i]
+          .filter((value) => typeof value === "string" && value.trim() !== "")
+          .sort();
+      });
+
+      this.snapshot = {
+        structure: this.inferStructure(samples),
+        values,
+        dateRange,
+        documentCount: stats.documentCount,
+        refreshedAt: new Date(),
+      };
+      this.lastFailure = null;
+
+      console.log(
+        `✅ Schema introspected (${stats.documentCount} documents, ${values.instructor.length} instructors, ${values.domain.length} domains)`
+      );
+      return this.snapshot;
+    } catch (error) {
+      const failure = new Error(`Schema introspection failed: ${error.message}`);
+      this.lastFailure = { at: Date.now(), error: failure };
+      throw failure;
+    }
+  }
+
+  // Merge sample documents into a { path: type } description
+  inferStructure(samples) {
+    const structure = {};
+    samples.forEach((doc) => this.collectTypes(doc, "", structure));
+    return structure;
+  }
+
+  collectTypes(value, prefix, structure) {
+    Object.entries(value).forEach(([key, child]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const type = this.describeType(child);
+
+      if (type === "object") {
+        if (typeof structure[path] !== "object") structure[path] = {};
+        this.collectTypes(child, "", structure[path]);
+      } else if (!structure[path] || structure[path] === "null") {
+        structure[path] = type;
+      }
+    });
+  }
+
+  describeType(value) {
+    if (value === null || value === undefined) return "null";
+    if (value instanceof Date) return "Date";
+    if (value._bsontype === "ObjectId") return "ObjectId";
+    if (Array.isArray(value)) {
+      return value.length > 0
+        ? `array of ${this.describeType(value[0])}s`
+        : "array";
+    }
+    if (typeof value === "object") return "object";
+    return typeof value;
+  }
+
+  // Render the snapshot as the schema section of the query generator prompt
+  buildSchemaContext(snapshot) {
+    const lines = [
+      "Collection: sessions",
+      `Documents: ${snapshot.documentCount}`,
+      "Document Structure:",
+      this.renderStructure(snapshot.structure, "", 0),
+    ];
+
+    if (snapshot.dateRange.min && snapshot.dateRange.max) {
+      lines.push(
+        "",
+        `sessionDate range in the data: ${snapshot.dateRange.min.toISOString()} to ${snapshot.dateRange.max.toISOString()}`
+      );
+    }
+
+    lines.push("", "KNOWN VALUES (use these exact spellings in $match):");
+    VOCABULARY_FIELDS.forEach((field) => {
+      const values = snapshot.values[field] || [];
+      const shown = values.slice(0, this.maxValuesPerField);
+      const more =
+        values.length > shown.length
+          ? ` ... and ${values.length - shown.length} more`
+          : "";
+      lines.push(`- ${field}: ${shown.map((v) => `'${v}'`).join(", ")}${more}`);
+    });
+
+    return lines.join("\n");
+  }
+
+  renderStructure(structure, prefix, depth) {
+    const indent = "  ".repeat(depth + 1);
+    const entries = Object.entries(structure).map(([key, type]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (typeof type === "object") {
+        return `${indent}"${key}": ${this.renderStructure(type, path, depth + 1)}`;
+      }
+      const hint = FIELD_HINTS[path] ? ` (${FIELD_HINTS[path]})` : "";
+      return `${indent}"${key}": "${type}${hint}"`;
+    });
+    return `{\n${entries.join(",\n")}\n${"  ".repeat(depth)}}`;
+  }
+}
+
+module.exports = new SchemaIntrospector();
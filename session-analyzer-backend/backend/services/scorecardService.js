@@ -0,0 +1,331 @@
+const mongoService = require("./mongoService");
+const authService = require("./authService");
+const entityResolver = require("./entityResolver");
+const statisticsEngine = require("./statisticsEngine");
+const dateResolver = require("./dateResolver");
+const resultAnalyzer = require("./resultAnalyzer");
+
+const SESSION_FIELDS = {
+  topicCode: 1,
+  type: 1,
+  domain: 1,
+  class: 1,
+  cohorts: 1,
+  instructor: 1,
+  sessionDate: 1,
+  ratings: 1,
+};
+
+// "How is instructor X doing": every figure is computed from the sessions
+// collection; only the optional narrative comes from the LLM
+class ScorecardService {
+  constructor() {
+    this.defaultRecentSessions =
+      parseInt(process.env.SCORECARD_RECENT_SESSIONS, 10) || 10;
+    this.maxRecentSessions = 50;
+    // Best and worst sessions are picked among sessions with at least this many
+    // responses, so a single 5-star reply doesn't top the list
+    this.minResponses = parseInt(process.env.SCORECARD_MIN_RESPONSES, 10) || 5;
+    this.highlightCount = 3;
+  }
+
+  // Canonical instructor name for a (possibly misspelled) name or alias, matched only
+  // against the instructors the principal may read so other names don't leak.
+  // Returns { value } or { candidates } when several instructors match equally well
+  async resolveInstructor(name, principal = null) {
+    const instructors = await this.visibleInstructors(authService.getScope(principal));
+    const exact = instructors.find((value) => value === name);
+    if (exact) return { value: exact };
+
+    const match = entityResolver.matchMention(name, { instructor: instructors }, ["instructor"]);
+    if (!match) return null;
+    if (match.ambiguous) {
+      return { candidates: match.candidates.map((candidate) => candidate.value) };
+    }
+    // Aliases point at any instructor, visible or not
+    return instructors.includes(match.value) ? { value: match.value } : null;
+  }
+
+  async visibleInstructors(scope) {
+    if (scope && scope.instructor) return [scope.instructor];
+
+    // Live rather than the introspection snapshot, so just-imported names resolve
+    const rows = await mongoService.executeRawQuery(
+      authService.applyScope([{ $group: { _id: "$instructor" } }], scope)
+    );
+    return rows.map((row) => row._id).filter((value) => typeof value === "string");
+  }
+
+  // options.principal restricts the sessions (and the rank) to what the caller may read
+  // options.recentSessions: how many of the latest sessions the trend covers
+  // options.narrative adds an analysis written by resultAnalyzer from the figures
+  // Returns null when the instructor has no sessions visible to the caller
+  async getScorecard(instructor, options = {}) {
+    try {
+      const scope = authService.getScope(options.principal);
+      const requested = parseInt(options.recentSessions, 10);
+      const recentCount = Math.min(
+        requested > 0 ? requested : this.defaultRecentSessions,
+        this.maxRecentSessions
+      );
+
+      const sessions = await mongoService.executeRawQuery(
+        authService.applyScope(
+          [
+            { $match: { instructor } },
+            { $sort: { sessionDate: 1 } },
+            { $project: SESSION_FIELDS },
+          ],
+          scope
+        )
+      );
+      if (sessions.length === 0) return null;
+
+      const domains = [...new Set(sessions.map((s) => s.domain).filter(Boolean))].sort();
+      const scorecard = {
+        instructor,
+        domains,
+        sessionCount: sessions.length,
+        firstSession: sessions[0].sessionDate,
+        lastSession: sessions[sessions.length - 1].sessionDate,
+        ...this.ratingSummary(sessions),
+        recent: this.recentTrend(sessions, recentCount),
+        quarters: this.quarterBreakdown(sessions),
+        bestSessions: this.highlightSessions(sessions, "best"),
+        worstSessions: this.highlightSessions(sessions, "worst"),
+        // Ranking needs other instructors' sessions, which an instructor key can't read
+        domainRanks:
+          scope && scope.instructor
+            ? null
+            : await this.domainRanks(instructor, domains, scope),
+        narrative: null,
+      };
+
+      if (options.narrative) {
+        scorecard.narrative = await this.writeNarrative(scorecard, sessions, options);
+      }
+
+      return scorecard;
+    } catch (error) {
+      throw new Error(`Failed to build scorecard: ${error.message}`);
+    }
+  }
+
+  // Rating, attendance, percentRated and yes/no figures over a set of sessions
+  ratingSummary(sessions) {
+    const rated = sessions.filter((s) => typeof this.rating(s).overallAverage === "number");
+    const responses = rated.reduce((sum, s) => sum + this.responses(s), 0);
+    // Sessions without a response count still count once, as statisticsEngine does
+    const weighted = statisticsEngine.weightedMean(
+      rated.map((s) => this.rating(s).overallAverage),
+      rated.map((s) => this.responses(s) || 1)
+    );
+
+    const withAttendance = sessions.filter(
+      (s) =>
+        typeof this.rating(s).studentsAttended === "number" &&
+        typeof this.rating(s).cohortStrength === "number" &&
+        this.rating(s).cohortStrength > 0
+    );
+    const attended = withAttendance.reduce((sum, s) => sum + this.rating(s).studentsAttended, 0);
+    const strength = withAttendance.reduce((sum, s) => sum + this.rating(s).cohortStrength, 0);
+
+    const percentRated = sessions
+      .map((s) => this.rating(s).percentRated)
+      .filter((value) => typeof value === "number");
+
+    const yes = sessions.reduce((sum, s) => sum + (this.rating(s).yesResponses || 0), 0);
+    const no = sessions.reduce((sum, s) => sum + (this.rating(s).noResponses || 0), 0);
+
+    return {
+      weightedAverage: rated.length ? statisticsEngine.round(weighted) : null,
+      totalResponses: responses,
+      attendance: {
+        studentsAttended: attended,
+        cohortStrength: strength,
+        rate: strength > 0 ? statisticsEngine.round((attended / strength) * 100, 1) : null,
+      },
+      percentRated: percentRated.length
+        ? statisticsEngine.round(statisticsEngine.mean(percentRated), 1)
+        : null,
+      yesNo: {
+        yes,
+        no,
+        yesPercent: yes + no > 0 ? statisticsEngine.round((yes / (yes + no)) * 100, 1) : null,
+      },
+    };
+  }
+
+  // Latest sessions against the same number of sessions before them, with the
+  // response-weighted trend from statisticsEngine
+  recentTrend(sessions, count) {
+    const recent = sessions.slice(-count);
+    const previous = sessions.slice(-2 * count, -count);
+    const points = statisticsEngine.sessionSeries(recent).points;
+    const recentAverage = this.ratingSummary(recent).weightedAverage;
+    const previousAverage = previous.length ? this.ratingSummary(previous).weightedAverage : null;
+
+    return {
+      sessions: recent.length,
+      weightedAverage: recentAverage,
+      previousWeightedAverage: previousAverage,
+      change:
+        recentAverage !== null && previousAverage !== null
+          ? statisticsEngine.round(recentAverage - previousAverage)
+          : null,
+      trend: points.length ? statisticsEngine.trend(points) : null,
+      points: recent.map((s) => ({
+        date: s.sessionDate,
+        topicCode: s.topicCode,
+        rating: this.rating(s).overallAverage,
+        responses: this.responses(s),
+      })),
+    };
+  }
+
+  // Calendar quarters in the configured timezone, oldest first
+  quarterBreakdown(sessions) {
+    const quarters = new Map();
+    sessions.forEach((s) => {
+      const date = new Date(s.sessionDate);
+      if (Number.isNaN(date.getTime())) return;
+      const parts = dateResolver.zoneParts(date);
+      const key = `${parts.year}-Q${Math.ceil(parts.month / 3)}`;
+      if (!quarters.has(key)) quarters.set(key, []);
+      quarters.get(key).push(s);
+    });
+
+    return [...quarters.entries()].map(([quarter, group]) => {
+      const summary = this.ratingSummary(group);
+      return {
+        quarter,
+        sessions: group.length,
+        weightedAverage: summary.weightedAverage,
+        totalResponses: summary.totalResponses,
+        attendanceRate: summary.attendance.rate,
+        percentRated: summary.percentRated,
+        yesPercent: summary.yesNo.yesPercent,
+      };
+    });
+  }
+
+  highlightSessions(sessions, which) {
+    const rated = sessions.filter((s) => typeof this.rating(s).overallAverage === "number");
+    const trusted = rated.filter((s) => this.responses(s) >= this.minResponses);
+    const candidates = trusted.length ? trusted : rated;
+
+    const direction = which === "best" ? -1 : 1;
+    return [...candidates]
+      .sort(
+        (a, b) =>
+          direction * (this.rating(a).overallAverage - this.rating(b).overallAverage) ||
+          this.responses(b) - this.responses(a)
+      )
+      .slice(0, this.highlightCount)
+      .map((s) => ({
+        date: s.sessionDate,
+        topicCode: s.topicCode,
+        type: s.type,
+        class: s.class,
+        rating: this.rating(s).overallAverage,
+        responses: this.responses(s),
+      }));
+  }
+
+  // Position among all instructors of each domain the instructor teaches in,
+  // by response-weighted average rating
+  async domainRanks(instructor, domains, scope) {
+    if (domains.length === 0) return [];
+
+    const rows = await mongoService.executeRawQuery(
+      authService.applyScope(
+        [
+          {
+            $match: {
+              domain: { $in: domains },
+              "ratings.overallAverage": { $type: "number" },
+            },
+          },
+          {
+            $group: {
+              _id: { domain: "$domain", instructor: "$instructor" },
+              weightedSum: {
+                $sum: {
+                  $multiply: [
+                    "$ratings.overallAverage",
+                    { $max: [{ $ifNull: ["$ratings.totalResponses", 1] }, 1] },
+                  ],
+                },
+              },
+              weight: { $sum: { $max: [{ $ifNull: ["$ratings.totalResponses", 1] }, 1] } },
+              sessions: { $sum: 1 },
+            },
+          },
+        ],
+        scope
+      )
+    );
+
+    return domains.map((domain) => {
+      const ranked = rows
+        .filter((row) => row._id.domain === domain)
+        .map((row) => ({
+          instructor: row._id.instructor,
+          average: row.weightedSum / row.weight,
+          weight: row.weight,
+        }))
+        .sort((a, b) => b.average - a.average);
+      const position = ranked.findIndex((row) => row.instructor === instructor);
+      const totalWeight = ranked.reduce((sum, row) => sum + row.weight, 0);
+
+      return {
+        domain,
+        rank: position === -1 ? null : position + 1,
+        of: ranked.length,
+        weightedAverage: position === -1 ? null : statisticsEngine.round(ranked[position].average),
+        domainAverage: totalWeight
+          ? statisticsEngine.round(
+              ranked.reduce((sum, row) => sum + row.average * row.weight, 0) / totalWeight
+            )
+          : null,
+      };
+    });
+  }
+
+  // The scorecard figures take the place of the raw rows, so the narrative quotes them
+  async writeNarrative(scorecard, sessions, options) {
+    return resultAnalyzer.analyzeResults(
+      `How is ${scorecard.instructor} doing?`,
+      sessions,
+      [],
+      {
+        onUsage: options.onUsage,
+        summary: {
+          text: `Instructor scorecard (computed from all ${sessions.length} sessions):\n${JSON.stringify(
+            { ...scorecard, narrative: undefined },
+            null,
+            2
+          )}`,
+          coverage: {
+            mode: "complete",
+            totalRows: sessions.length,
+            detailRows: 0,
+            chunks: 0,
+            description: "All sessions are covered by the scorecard figures",
+          },
+        },
+      }
+    );
+  }
+
+  rating(session) {
+    return session.ratings || {};
+  }
+
+  responses(session) {
+    const responses = this.rating(session).totalResponses;
+    return typeof responses === "number" && responses > 0 ? responses : 0;
+  }
+}
+
+module.exports = new ScorecardService();
@@ -0,0 +1,515 @@
+const visualizationBuilder = require("./visualizationBuilder");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIDENCE_LEVEL = 0.95;
+const SIGNIFICANCE_LEVEL = 0.05;
+// Fields that can split session documents into groups, in order of preference
+const GROUP_FIELDS = ["instructor", "domain", "class", "type"];
+const MAX_GROUPS = 12;
+const MAX_PERIODS = 12;
+
+// Deterministic statistics over query results, computed before the LLM sees them
+// so the analysis quotes verified figures instead of estimating them
+class StatisticsEngine {
+  // Returns null when the results have no numeric metric to describe
+  analyze(results) {
+    if (!Array.isArray(results) || results.length === 0) return null;
+
+    const series = this.isSessionData(results)
+      ? this.sessionSeries(results)
+      : this.aggregatedSeries(results);
+    if (!series || series.points.length === 0) return null;
+
+    const { points } = series;
+    return {
+      kind: series.kind,
+      metric: series.metric,
+      weightField: series.weightField,
+      count: points.length,
+      summary: this.summarize(points),
+      trend: this.trend(points),
+      periods: this.periodDeltas(points, series.kind),
+      groups: series.kind === "sessions" ? this.compareGroups(points, results) : null,
+    };
+  }
+
+  isSessionData(results) {
+    const first = results[0];
+    return Boolean(first && first.ratings && first.sessionDate);
+  }
+
+  // One point per session: overall rating weighted by its number of responses
+  sessionSeries(results) {
+    const points = [];
+    results.forEach((session, index) => {
+      const value = session.ratings.overallAverage;
+      if (typeof value !== "number") return;
+
+      const responses = session.ratings.totalResponses;
+      const date = new Date(session.sessionDate);
+      points.push({
+        value,
+        weight: typeof responses === "number" && responses > 0 ? responses : 1,
+        time: Number.isNaN(date.getTime()) ? null : date.getTime(),
+        index,
+      });
+    });
+
+    return {
+      kind: "sessions",
+      metric: "ratings.overallAverage",
+      weightField: "ratings.totalResponses",
+      points,
+    };
+  }
+
+  // One point per aggregated row, using the rating-like metric and a count as weight
+  aggregatedSeries(results) {
+    const rows = results.map((row) => visualizationBuilder.flatten(row));
+    const numericFields = Object.keys(rows[0]).filter(
+      (key) => key !== "_id" && !key.startsWith("_id.") && typeof rows[0][key] === "number"
+    );
+    if (numericFields.length === 0) return null;
+
+    const metric =
+      numericFields.find((key) => /avg|average|rating|score|mean/i.test(key)) ||
+      numericFields[0];
+    const weightField =
+      numericFields.find(
+        (key) => key !== metric && /responses|count|sessions|total|^n$/i.test(key)
+      ) || null;
+
+    const points = [];
+    results.forEach((row, index) => {
+      const value = rows[index][metric];
+      if (typeof value !== "number") return;
+
+      const weight = weightField ? rows[index][weightField] : 1;
+      points.push({
+        value,
+        weight: typeof weight === "number" && weight > 0 ? weight : 1,
+        time: visualizationBuilder.timeValue(row._id),
+        label: visualizationBuilder.labelFor(row._id),
+        index,
+      });
+    });
+
+    return { kind: "aggregated", metric, weightField, points };
+  }
+
+  summarize(points) {
+    const values = points.map((p) => p.value);
+    const weights = points.map((p) => p.weight);
+    const weightedMean = this.weightedMean(values, weights);
+    const stdDev = this.stdDev(values);
+
+    // Kish effective sample size accounts for uneven weights
+    const weightSum = weights.reduce((a, b) => a + b, 0);
+    const weightSquares = weights.reduce((a, b) => a + b * b, 0);
+    const effectiveN = (weightSum * weightSum) / weightSquares;
+
+    let confidenceInterval = null;
+    if (points.length > 1) {
+      const weightedSd = Math.sqrt(
+        values.reduce((sum, v, i) => sum + weights[i] * (v - weightedMean) ** 2, 0) /
+          weightSum
+      );
+      const margin =
+        this.tCritical(CONFIDENCE_LEVEL, Math.max(effectiveN - 1, 1)) *
+        (weightedSd / Math.sqrt(effectiveN));
+      confidenceInterval = {
+        level: CONFIDENCE_LEVEL,
+        lower: this.round(weightedMean - margin),
+        upper: this.round(weightedMean + margin),
+      };
+    }
+
+    return {
+      mean: this.round(this.mean(values)),
+      weightedMean: this.round(weightedMean),
+      stdDev: this.round(stdDev),
+      min: this.round(Math.min(...values)),
+      max: this.round(Math.max(...values)),
+      totalWeight: this.round(weightSum),
+      confidenceInterval,
+    };
+  }
+
+  // Weighted least-squares slope of the metric over time, reported per 30 days
+  trend(points) {
+    const timed = points.filter((p) => p.time !== null);
+    if (timed.length < 3) return null;
+
+    const start = Math.min(...timed.map((p) => p.time));
+    const xs = timed.map((p) => (p.time - start) / DAY_MS);
+    const ys = timed.map((p) => p.value);
+    const ws = timed.map((p) => p.weight);
+    const weightSum = ws.reduce((a, b) => a + b, 0);
+
+    const xMean = xs.reduce((sum, x, i) => sum + ws[i] * x, 0) / weightSum;
+    const yMean = ys.reduce((sum, y, i) => sum + ws[i] * y, 0) / weightSum;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    xs.forEach((x, i) => {
+      sxx += ws[i] * (x - xMean) ** 2;
+      sxy += ws[i] * (x - xMean) * (ys[i] - yMean);
+      syy += ws[i] * (ys[i] - yMean) ** 2;
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const rSquared = syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+
+    // t-test on the slope with n - 2 degrees of freedom
+    const df = timed.length - 2;
+    let pValue = null;
+    if (rSquared < 1) {
+      const t = Math.sqrt((rSquared * df) / (1 - rSquared));
+      pValue = this.twoTailedP(t, df);
+    } else {
+      pValue = 0;
+    }
+    const significant = pValue !== null && pValue < SIGNIFICANCE_LEVEL;
+    let direction = "flat";
+    if (significant) direction = slope > 0 ? "improving" : "declining";
+
+    return {
+      slopePerMonth: this.round(slope * 30, 4),
+      rSquared: this.round(rSquared),
+      pValue: this.round(pValue, 4),
+      significant,
+      direction,
+      from: new Date(start).toISOString().slice(0, 10),
+      to: new Date(Math.max(...timed.map((p) => p.time))).toISOString().slice(0, 10),
+    };
+  }
+
+  // Monthly weighted means for sessions (aggregated rows are already periods)
+  periodDeltas(points, kind) {
+    const timed = points.filter((p) => p.time !== null);
+    if (timed.length < 2) return null;
+
+    let periods;
+    if (kind === "sessions") {
+      const buckets = new Map();
+      timed.forEach((p) => {
+        const key = new Date(p.time).toISOString().slice(0, 7);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(p);
+      });
+      periods = [...buckets.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([period, bucket]) => ({
+          period,
+          value: this.weightedMean(
+            bucket.map((p) => p.value),
+            bucket.map((p) => p.weight)
+          ),
+          count: bucket.length,
+        }));
+    } else {
+      periods = [...timed]
+        .sort((a, b) => a.time - b.time)
+        .map((p) => ({ period: p.label, value: p.value, count: null }));
+    }
+    if (periods.length < 2) return null;
+
+    const values = periods.map((period, i) => {
+      const previous = i > 0 ? periods[i - 1].value : null;
+      return {
+        period: period.period,
+        value: this.round(period.value),
+        count: period.count,
+        delta: previous === null ? null : this.round(period.value - previous),
+        deltaPercent:
+          previous === null || previous === 0
+            ? null
+            : this.round(((period.value - previous) / previous) * 100, 1),
+      };
+    });
+
+    return {
+      granularity: kind === "sessions" ? "month" : "row",
+      values: values.slice(-MAX_PERIODS),
+    };
+  }
+
+  // Per-group stats, Welch's t-test between the highest and lowest group and a
+  // one-way ANOVA across groups. Each session counts as one observation
+  compareGroups(points, results) {
+    const field = GROUP_FIELDS.find((candidate) => {
+      const distinct = new Set(points.map((p) => results[p.index][candidate]));
+      distinct.delete(undefined);
+      distinct.delete(null);
+      return distinct.size >= 2 && distinct.size <= MAX_GROUPS;
+    });
+    if (!field) return null;
+
+    const buckets = new Map();
+    points.forEach((p) => {
+      const key = results[p.index][field];
+      if (key === undefined || key === null) return;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(p);
+    });
+
+    const groups = [...buckets.entries()].map(([group, bucket]) => {
+      const values = bucket.map((p) => p.value);
+      return {
+        group: String(group),
+        count: bucket.length,
+        mean: this.mean(values),
+        weightedMean: this.weightedMean(values, bucket.map((p) => p.weight)),
+        variance: values.length > 1 ? this.stdDev(values) ** 2 : null,
+      };
+    });
+    groups.sort((a, b) => b.weightedMean - a.weightedMean);
+
+    const highest = groups[0];
+    const lowest = groups[groups.length - 1];
+
+    return {
+      field,
+      values: groups.map((g) => ({
+        group: g.group,
+        count: g.count,
+        mean: this.round(g.mean),
+        weightedMean: this.round(g.weightedMean),
+        stdDev: g.variance === null ? null : this.round(Math.sqrt(g.variance)),
+      })),
+      comparison: {
+        highest: highest.group,
+        lowest: lowest.group,
+        difference: this.round(highest.weightedMean - lowest.weightedMean),
+        ...this.welchTest(highest, lowest),
+      },
+      anova: this.anova(groups),
+    };
+  }
+
+  welchTest(a, b) {
+    if (a.count < 2 || b.count < 2) {
+      return { tStatistic: null, degreesOfFreedom: null, pValue: null, significant: false };
+    }
+
+    const va = a.variance / a.count;
+    const vb = b.variance / b.count;
+    if (va + vb === 0) {
+      return { tStatistic: null, degreesOfFreedom: null, pValue: null, significant: false };
+    }
+
+    const t = (a.mean - b.mean) / Math.sqrt(va + vb);
+    const df = (va + vb) ** 2 / (va ** 2 / (a.count - 1) + vb ** 2 / (b.count - 1));
+    const pValue = this.twoTailedP(t, df);
+    return {
+      tStatistic: this.round(t),
+      degreesOfFreedom: this.round(df, 1),
+      pValue: this.round(pValue, 4),
+      significant: pValue < SIGNIFICANCE_LEVEL,
+    };
+  }
+
+  anova(groups) {
+    const usable = groups.filter((g) => g.count > 1);
+    const n = usable.reduce((sum, g) => sum + g.count, 0);
+    const k = usable.length;
+    if (k < 2 || n <= k) return null;
+
+    const grandMean = usable.reduce((sum, g) => sum + g.mean * g.count, 0) / n;
+    const between = usable.reduce((sum, g) => sum + g.count * (g.mean - grandMean) ** 2, 0);
+    const within = usable.reduce((sum, g) => sum + (g.count - 1) * g.variance, 0);
+    if (within === 0) return null;
+
+    const f = between / (k - 1) / (within / (n - k));
+    const pValue = 1 - this.fCdf(f, k - 1, n - k);
+    return {
+      fStatistic: this.round(f),
+      pValue: this.round(pValue, 4),
+      significant: pValue < SIGNIFICANCE_LEVEL,
+    };
+  }
+
+  formatP(pValue) {
+    return pValue < 0.0001 ? "p < 0.0001" : `p = ${pValue}`;
+  }
+
+  // Plain-text block for the analysis prompt
+  describe(statistics) {
+    if (!statistics) return "";
+
+    const lines = [];
+    const s = statistics.summary;
+    lines.push(
+      `- ${statistics.metric} over ${statistics.count} ${
+        statistics.kind === "sessions" ? "sessions" : "rows"
+      }: weighted mean ${s.weightedMean}${
+        statistics.weightField ? ` (weighted by ${statistics.weightField})` : ""
+      }, unweighted mean ${s.mean}, std dev ${s.stdDev}, range ${s.min}-${s.max}`
+    );
+    if (s.confidenceInterval) {
+      lines.push(
+        `- 95% confidence interval for the mean: ${s.confidenceInterval.lower} to ${s.confidenceInterval.upper}`
+      );
+    }
+
+    const trend = statistics.trend;
+    if (trend) {
+      lines.push(
+        `- Trend ${trend.from} to ${trend.to}: ${trend.slopePerMonth} per month (R² ${trend.rSquared}, ${this.formatP(trend.pValue)}) -> ${
+          trend.significant ? trend.direction : "no statistically significant trend"
+        }`
+      );
+    }
+
+    if (statistics.periods) {
+      const deltas = statistics.periods.values
+        .filter((p) => p.delta !== null)
+        .map((p) => `${p.period}: ${p.value} (${p.delta >= 0 ? "+" : ""}${p.delta})`)
+        .join(", ");
+      lines.push(`- Period-over-period: ${deltas}`);
+    }
+
+    const groups = statistics.groups;
+    if (groups) {
+      const c = groups.comparison;
+      lines.push(
+        `- By ${groups.field}: ${groups.values
+          .map((g) => `${g.group} ${g.weightedMean} (n=${g.count})`)
+          .join(", ")}`
+      );
+      lines.push(
+        `- ${c.highest} vs ${c.lowest}: difference ${c.difference}, ${
+          c.pValue === null
+            ? "too few sessions to test"
+            : `Welch t-test ${this.formatP(c.pValue)} (${c.significant ? "significant" : "not significant"})`
+        }`
+      );
+      if (groups.anova) {
+        lines.push(
+          `- Differences across all ${groups.field} groups: ANOVA ${this.formatP(groups.anova.pValue)} (${
+            groups.anova.significant ? "significant" : "not significant"
+          })`
+        );
+      }
+    }
+
+    return `Verified statistics (computed exactly from the full result set; quote these, do not recompute):\n${lines.join("\n")}`;
+  }
+
+  mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  weightedMean(values, weights) {
+    const weightSum = weights.reduce((a, b) => a + b, 0);
+    return values.reduce((sum, v, i) => sum + v * weights[i], 0) / weightSum;
+  }
+
+  // Sample standard deviation
+  stdDev(values) {
+    if (values.length < 2) return 0;
+    const m = this.mean(values);
+    return Math.sqrt(
+      values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1)
+    );
+  }
+
+  round(value, digits = 3) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  // Two-tailed p-value of a Student t statistic
+  twoTailedP(t, df) {
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  // Critical t value for a two-sided interval, by bisection on the p-value
+  tCritical(level, df) {
+    const alpha = 1 - level;
+    let low = 0;
+    let high = 1000;
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (this.twoTailedP(mid, df) > alpha) low = mid;
+      else high = mid;
+    }
+    return (low + high) / 2;
+  }
+
+  fCdf(f, d1, d2) {
+    if (f <= 0) return 0;
+    return this.incompleteBeta((d1 * f) / (d1 * f + d2), d1 / 2, d2 / 2);
+  }
+
+  // Regularized incomplete beta function I_x(a, b) (continued fraction, Numerical Recipes)
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(
+      this.logGamma(a + b) -
+        this.logGamma(a) -
+        this.logGamma(b) +
+        a * Math.log(x) +
+        b * Math.log(1 - x)
+    );
+    if (x < (a + 1) / (a + b + 2)) {
+      return (front * this.betaContinuedFraction(x, a, b)) / a;
+    }
+    return 1 - (front * this.betaContinuedFraction(1 - x, b, a)) / b;
+  }
+
+  betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      result *= d * c;
+
+      aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+      if (Math.abs(delta - 1) < 1e-10) break;
+    }
+    return result;
+  }
+
+  // Lanczos approximation
+  logGamma(z) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+    ];
+    let x = z;
+    let y = z;
+    let tmp = x + 5.5;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    let series = 1.000000000190015;
+    coefficients.forEach((coefficient) => {
+      y += 1;
+      series += coefficient / y;
+    });
+    return -tmp + Math.log((2.5066282746310005 * series) / x);
+  }
+}
+
+module.exports = new StatisticsEngine();
@@ -0,0 +1,263 @@
+// Infers a chart spec from a result set. The spec is library-agnostic:
+// { type: "line" | "bar" | "stacked-bar" | "none", title, labels, datasets, yAxis }
+const MAX_LINE_POINTS = 120;
+const MAX_BAR_CATEGORIES = 30;
+
+const TIME_KEYS = ["year", "quarter", "month", "week", "day", "date"];
+
+class VisualizationBuilder {
+  // pipeline (optional) names the grouping field, e.g. "$instructor" -> "instructor"
+  build(results, pipeline = []) {
+    if (!Array.isArray(results) || results.length < 2) {
+      return this.none("Not enough rows to chart");
+    }
+
+    if (this.isSessionDocuments(results)) {
+      return this.buildSessionTimeline(results);
+    }
+
+    const metrics = this.numericFields(results);
+    if (metrics.length === 0) {
+      return this.none("No numeric fields to chart");
+    }
+
+    const yesNo = this.findYesNoFields(metrics);
+    const rows = results.map((row) => ({
+      label: this.labelFor(row._id),
+      time: this.timeValue(row._id),
+      row,
+    }));
+    const isTimeSeries = rows.every((r) => r.time !== null);
+    const groupName = this.groupName(results[0]._id, pipeline);
+
+    if (yesNo) {
+      return this.buildStackedYesNo(rows, yesNo, groupName);
+    }
+
+    const metric = this.primaryMetric(metrics);
+    return isTimeSeries
+      ? this.buildLine(rows, metric)
+      : this.buildBar(rows, metric, groupName);
+  }
+
+  none(reason) {
+    return { type: "none", reason };
+  }
+
+  // Raw session documents rather than aggregation output
+  isSessionDocuments(results) {
+    return results.every(
+      (r) => r.sessionDate && r.ratings && typeof r.ratings.overallAverage === "number"
+    );
+  }
+
+  // Sessions without a valid date can't be placed on the timeline and are left out
+  buildSessionTimeline(results) {
+    const sessions = results
+      .filter((s) => !Number.isNaN(new Date(s.sessionDate).getTime()))
+      .sort((a, b) => new Date(a.sessionDate) - new Date(b.sessionDate))
+      .slice(-MAX_LINE_POINTS);
+    if (sessions.length === 0) return this.none("No valid session dates to plot");
+
+    return {
+      type: "line",
+      title: "Session rating over time",
+      labels: sessions.map((s) => this.formatDate(new Date(s.sessionDate))),
+      datasets: [
+        {
+          label: "Overall average",
+          data: sessions.map((s) => s.ratings.overallAverage),
+        },
+      ],
+      yAxis: { label: "Rating", min: 1, max: 5 },
+    };
+  }
+
+  buildLine(rows, metric) {
+    const points = [...rows]
+      .sort((a, b) => a.time - b.time)
+      .slice(-MAX_LINE_POINTS);
+
+    return {
+      type: "line",
+      title: `${this.humanize(metric)} over time`,
+      labels: points.map((p) => p.label),
+      datasets: [
+        {
+          label: this.humanize(metric),
+          data: points.map((p) => this.metricValue(p.row, metric)),
+        },
+      ],
+      yAxis: this.axisFor(metric),
+    };
+  }
+
+  buildBar(rows, metric, groupName) {
+    const bars = [...rows]
+      .sort(
+        (a, b) => this.metricValue(b.row, metric) - this.metricValue(a.row, metric)
+      )
+      .slice(0, MAX_BAR_CATEGORIES);
+
+    return {
+      type: "bar",
+      title: `${this.humanize(metric)} by ${groupName}`,
+      labels: bars.map((b) => b.label),
+      datasets: [
+        {
+          label: this.humanize(metric),
+          data: bars.map((b) => this.metricValue(b.row, metric)),
+        },
+      ],
+      yAxis: this.axisFor(metric),
+      truncated: rows.length > bars.length,
+    };
+  }
+
+  buildStackedYesNo(rows, { yes, no }, groupName) {
+    const ordered = rows.every((r) => r.time !== null)
+      ? [...rows].sort((a, b) => a.time - b.time)
+      : rows;
+    const bars = ordered.slice(0, MAX_BAR_CATEGORIES);
+
+    return {
+      type: "stacked-bar",
+      title: `Yes / No responses by ${groupName}`,
+      labels: bars.map((b) => b.label),
+      datasets: [
+        { label: "Yes %", data: bars.map((b) => this.metricValue(b.row, yes)) },
+        { label: "No %", data: bars.map((b) => this.metricValue(b.row, no)) },
+      ],
+      yAxis: { label: "Percent", min: 0, max: 100 },
+      truncated: rows.length > bars.length,
+    };
+  }
+
+  // Top-level numeric fields present in most rows (nested ratings.* included)
+  numericFields(results) {
+    const counts = {};
+    results.forEach((row) => {
+      Object.entries(this.flatten(row)).forEach(([key, value]) => {
+        if (key === "_id" || key.startsWith("_id.")) return;
+        if (typeof value === "number" && Number.isFinite(value)) {
+          counts[key] = (counts[key] || 0) + 1;
+        }
+      });
+    });
+    return Object.keys(counts).filter((key) => counts[key] >= results.length * 0.8);
+  }
+
+  findYesNoFields(metrics) {
+    // Whole field names only (yesPercent, no_pct), so e.g. notRatedPercent isn't a "No" share
+    const yes = metrics.find((m) => /(^|\.)yes_?(percent|pct)$/i.test(m));
+    const no = metrics.find((m) => /(^|\.)no_?(percent|pct)$/i.test(m));
+    return yes && no ? { yes, no } : null;
+  }
+
+  // Prefer rating-like metrics over counts
+  primaryMetric(metrics) {
+    return (
+      metrics.find((m) => /rating|avg|average/i.test(m)) ||
+      metrics.find((m) => /percent|rate/i.test(m)) ||
+      metrics[0]
+    );
+  }
+
+  axisFor(metric) {
+    if (/rating|overallaverage/i.test(metric)) return { label: "Rating", min: 1, max: 5 };
+    if (/percent|pct/i.test(metric)) return { label: "Percent", min: 0, max: 100 };
+    return { label: this.humanize(metric) };
+  }
+
+  metricValue(row, metric) {
+    const value = this.flatten(row)[metric];
+    return typeof value === "number" ? Math.round(value * 100) / 100 : null;
+  }
+
+  flatten(value, prefix = "", out = {}) {
+    Object.entries(value || {}).forEach(([key, child]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const isPlainObject =
+        child &&
+        typeof child === "object" &&
+        !Array.isArray(child) &&
+        !(child instanceof Date) &&
+        !child._bsontype;
+      if (isPlainObject) {
+        this.flatten(child, path, out);
+      } else {
+        out[path] = child;
+      }
+    });
+    return out;
+  }
+
+  // Sortable number for time-like group keys, or null when the key isn't a time
+  timeValue(id) {
+    if (id instanceof Date) return id.getTime();
+
+    if (typeof id === "string") {
+      let match = id.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+      if (match) return Date.UTC(+match[1], +match[2] - 1, match[3] ? +match[3] : 1);
+      match = id.match(/^(\d{4})[- ]?Q([1-4])$/i);
+      if (match) return Date.UTC(+match[1], (+match[2] - 1) * 3, 1);
+      return null;
+    }
+
+    if (typeof id === "number" && id >= 1900 && id <= 2100) {
+      return Date.UTC(id, 0, 1);
+    }
+
+    if (id && typeof id === "object") {
+      const keys = Object.keys(id);
+      if (keys.length === 0 || !keys.every((k) => TIME_KEYS.includes(k))) return null;
+      if (id.date) return this.timeValue(id.date);
+      const year = id.year || 1970;
+      const month = id.month ? id.month - 1 : id.quarter ? (id.quarter - 1) * 3 : 0;
+      const day = id.day || (id.week ? id.week * 7 : 1);
+      return Date.UTC(year, month, day);
+    }
+
+    return null;
+  }
+
+  labelFor(id) {
+    if (id === null || id === undefined) return "All";
+    if (id instanceof Date) return this.formatDate(id);
+    if (typeof id !== "object") return String(id);
+
+    if (id.year && id.quarter) return `${id.year} Q${id.quarter}`;
+    if (id.year && id.month) return `${id.year}-${String(id.month).padStart(2, "0")}`;
+    return Object.values(id)
+      .map((v) => (v instanceof Date ? this.formatDate(v) : String(v)))
+      .join(" / ");
+  }
+
+  groupName(id, pipeline) {
+    if (id && typeof id === "object" && !(id instanceof Date)) {
+      return Object.keys(id).join(" / ");
+    }
+
+    const group = [...(pipeline || [])].reverse().find((stage) => stage && stage.$group);
+    const groupId = group && group.$group._id;
+    if (typeof groupId === "string" && groupId.startsWith("$")) {
+      return groupId.slice(1).split(".").pop();
+    }
+    return "group";
+  }
+
+  formatDate(date) {
+    if (Number.isNaN(date.getTime())) return "Invalid date";
+    return date.toISOString().slice(0, 10);
+  }
+
+  humanize(field) {
+    const name = field.split(".").pop();
+    return name
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .replace(/_/g, " ")
+      .replace(/^./, (c) => c.toUpperCase());
+  }
+}
+
+module.exports = new VisualizationBuilder();
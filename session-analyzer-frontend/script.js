@@ -1,8 +1,12 @@
 // Configuration - Update these URLs after deployment
 const API_BASE_URL = "https://your-backend-url.vercel.app/api"; // Update this after backend deployment
 
+// API key (or JWT) sent with every request; kept in this browser only
+const API_KEY_STORAGE = "sessionAnalyzerApiKey";
+
 // Global state
 let isLoading = false;
+let conversationId = null; // Set by the server on the first answer of a thread
 
 // Initialize the app
 document.addEventListener("DOMContentLoaded", function () {
@@ -13,11 +17,7 @@ document.addEventListener("DOMContentLoaded", function () {
     "queryInput",
     "submitBtn",
     "resultsSection",
-    "resultMeta",
-    "analysisContent",
-    "rawDataContent",
-    "rawDataSection",
-    "analysisSection",
+    "conversationThread",
     "errorSection",
   ];
 
@@ -77,6 +77,27 @@ async function checkServerHealth() {
   }
 }
 
+function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE) || "";
+}
+
+function authHeaders(headers = {}) {
+  const apiKey = getApiKey();
+  return apiKey ? { ...headers, Authorization: `Bearer ${apiKey}` } : headers;
+}
+
+// Ask for a new API key; an empty answer signs out
+function changeApiKey() {
+  const apiKey = prompt("API key or access token:", getApiKey());
+  if (apiKey === null) return;
+
+  if (apiKey.trim()) {
+    localStorage.setItem(API_KEY_STORAGE, apiKey.trim());
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE);
+  }
+}
+
 // Fill query from example
 function fillQuery(element) {
   const queryInput = document.getElementById("queryInput");
@@ -88,8 +109,8 @@ function fillQuery(element) {
   queryInput.style.height = queryInput.scrollHeight + "px";
 }
 
-// Submit query
-async function submitQuery() {
+// Submit query; fresh skips the server's cached pipelines and results
+async function submitQuery(fresh = false) {
   if (isLoading) return;
 
   const queryInput = document.getElementById("queryInput");
@@ -102,45 +123,69 @@ async function submitQuery() {
   }
 
   setLoadingState(true);
-  hideResults();
   hideError();
 
+  // Show the question in the thread right away; the answer fills in later
+  const turn = appendTurn(query);
+
   try {
-    // Create abort controller for timeout
+    // Abort if the stream goes quiet; every event resets the timer
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 seconds
+    let timeoutId = setTimeout(() => controller.abort(), 60000); // 60 seconds
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), 60000);
+    };
 
-    const response = await fetch(`${API_BASE_URL}/query`, {
+    const response = await fetch(`${API_BASE_URL}/query/stream${fresh ? "?fresh=1" : ""}`, {
       method: "POST",
-      headers: {
+      headers: authHeaders({
         "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ query }),
+      }),
+      body: JSON.stringify({ query, conversationId }),
       signal: controller.signal,
     });
 
-    clearTimeout(timeoutId);
+    if (response.status === 401 || response.status === 403) {
+      clearTimeout(timeoutId);
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(
+        `${body.error || "Not authorized"}. Use the 🔑 API key button to sign in.`
+      );
+      error.isServerError = true;
+      throw error;
+    }
 
     if (!response.ok) {
+      clearTimeout(timeoutId);
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const data = await response.json();
-
-    if (data.success) {
-      console.log("Query successful:", data);
-      showResults(data);
-    } else {
-      console.error("Query failed:", data);
-      showError(data.error || "An error occurred while processing your query");
+    let data;
+    try {
+      data = await readEventStream(response, (type, payload) => {
+        resetTimeout();
+        handleStreamEvent(turn, type, payload);
+      });
+    } finally {
+      clearTimeout(timeoutId);
     }
+
+    console.log("Query successful:", data);
+    conversationId = data.conversationId;
+    queryInput.value = "";
+    queryInput.style.height = "auto";
+    showResults(turn, data);
   } catch (error) {
     console.error("Query failed:", error);
 
     // Clear loading state first
     setLoadingState(false);
+    turn.remove();
 
-    if (error.name === "AbortError") {
+    if (error.isServerError) {
+      showError(error.message || "An error occurred while processing your query");
+    } else if (error.name === "AbortError") {
       showError(
         "Request timed out. The query is taking longer than expected. Please try a simpler query or wait and try again."
       );
@@ -157,6 +202,136 @@ async function submitQuery() {
   }
 }
 
+// Read Server-Sent Events from a fetch response; resolves with the "done" payload
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const event = parseEventMessage(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (!event) continue;
+
+      if (event.type === "done") {
+        result = event.data;
+      } else if (event.type === "error") {
+        const error = new Error(event.data.error);
+        error.isServerError = true;
+        throw error;
+      } else {
+        onEvent(event.type, event.data);
+      }
+    }
+  }
+
+  if (!result) {
+    const error = new Error("The server closed the stream before the answer was complete");
+    error.isServerError = true;
+    throw error;
+  }
+  return result;
+}
+
+// Parse one "event: ...\ndata: ..." block; heartbeat comments return null
+function parseEventMessage(message) {
+  let type = "message";
+  const dataLines = [];
+
+  message.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+  return { type, data: JSON.parse(dataLines.join("\n")) };
+}
+
+const STAGE_LABELS = {
+  generating: () => "🧠 Generating MongoDB query...",
+  executing: (data) => `⚙️ Running query (attempt ${data.attempt})...`,
+  fixing: (data) => `🛠️ Attempt ${data.attempt} failed, fixing the query...`,
+  summarizing: (data) => `📚 Summarizing the records in ${data.chunks} chunks...`,
+  analyzing: () => "🤖 Analyzing results...",
+  verifying: () => "🔎 Checking the analysis against the data...",
+  regenerating: () => "🔁 Rewriting the analysis with corrections...",
+};
+
+// Render each streamed piece into the pending turn as it arrives
+function handleStreamEvent(turn, type, data) {
+  switch (type) {
+    case "stage": {
+      const label = STAGE_LABELS[data.stage];
+      if (label) setTurnStatus(turn, label(data));
+      // The rewritten analysis streams in from scratch
+      if (data.stage === "regenerating") {
+        const analysisContent = turn.querySelector(".analysis-content");
+        if (analysisContent) {
+          analysisContent.textContent = "";
+          delete analysisContent.dataset.raw;
+        }
+      }
+      break;
+    }
+    case "pipeline":
+      console.log("Generated pipeline:", data.pipeline);
+      break;
+    case "results":
+      renderResults(turn, {
+        ...data,
+        executionTime: new Date().toISOString(),
+      });
+      break;
+    case "token": {
+      const analysisContent = turn.querySelector(".analysis-content");
+      if (analysisContent) {
+        analysisContent.classList.add("streaming");
+        // The analysis arrives as JSON; show its answer while the rest streams in
+        analysisContent.dataset.raw = (analysisContent.dataset.raw || "") + data.text;
+        analysisContent.textContent = streamedAnswer(analysisContent.dataset.raw);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// The "answer" of a partly streamed JSON analysis; anything else is shown as is
+function streamedAnswer(raw) {
+  const text = raw.replace(/^\s*```(?:json)?\s*/, "");
+  if (!text.startsWith("{")) return raw;
+
+  const match = text.match(/"answer"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) return "";
+  try {
+    // Leave out an escape sequence that hasn't fully arrived
+    return JSON.parse(`"${match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, "")}"`);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+function setTurnStatus(turn, text) {
+  let status = turn.querySelector(".turn-pending");
+  if (!status) {
+    status = document.createElement("div");
+    status.className = "turn-pending";
+    turn.querySelector(".turn-answer").appendChild(status);
+  }
+  status.textContent = text;
+}
+
 // Set loading state
 function setLoadingState(loading) {
   isLoading = loading;
@@ -175,58 +350,1068 @@ function setLoadingState(loading) {
   }
 }
 
-// Show results
-function showResults(data) {
+// Add a question to the conversation thread with a pending answer
+function appendTurn(query) {
   const resultsSection = document.getElementById("resultsSection");
-  const resultMeta = document.getElementById("resultMeta");
-  const analysisContent = document.getElementById("analysisContent");
-  const rawDataSection = document.getElementById("rawDataSection");
-  const rawDataContent = document.getElementById("rawDataContent");
-  const analysisSection = document.getElementById("analysisSection");
-
-  // Check if all elements exist
-  if (!resultsSection || !resultMeta || !analysisContent || !rawDataContent) {
-    console.error("Required DOM elements not found");
-    showError(
-      "Interface error: Could not display results. Please refresh the page."
+  const thread = document.getElementById("conversationThread");
+
+  // Collapse raw data of earlier answers so the thread stays readable
+  thread
+    .querySelectorAll("details.raw-data-section")
+    .forEach((details) => details.removeAttribute("open"));
+
+  const turn = document.createElement("div");
+  turn.className = "conversation-turn";
+  turn.innerHTML = `
+        <div class="turn-question">🧑 ${escapeHtml(query)}</div>
+        <div class="turn-answer">
+            <div class="turn-pending">⏳ Analyzing...</div>
+        </div>
+    `;
+  thread.appendChild(turn);
+
+  resultsSection.style.display = "block";
+  turn.scrollIntoView({ behavior: "smooth", block: "start" });
+  return turn;
+}
+
+// Render metadata and the chart/table/JSON views; the analysis is filled in separately
+function renderResults(turn, data) {
+  const answer = turn.querySelector(".turn-answer");
+  destroyCharts(answer);
+
+  answer.innerHTML = `
+        <div class="result-meta">
+            <div>📊 ${data.resultCount} records found</div>
+            ${formatCapNote(data)}
+            <div>⏱️ ${new Date(data.executionTime).toLocaleTimeString()}</div>
+            ${formatCacheBadge(data.cache)}
+        </div>
+        ${formatExportLinks(data.runId)}
+        ${formatEntityNotes(data.entities)}
+        ${formatStatistics(data.statistics)}
+        <details class="raw-data-section" open>
+            <summary class="section-title">📋 Results</summary>
+            <div class="view-toggle">
+                <button class="view-btn" data-view="chart">📈 Chart</button>
+                <button class="view-btn" data-view="table">📋 Table</button>
+                <button class="view-btn" data-view="json">{ } JSON</button>
+            </div>
+            <div class="data-view chart-view"><canvas></canvas></div>
+            <div class="data-view table-view"></div>
+            <div class="data-view raw-data-content"></div>
+        </details>
+        <div class="analysis-section">
+            <h4 class="section-title">🤖 AI Analysis</h4>
+            <div class="analysis-content"></div>
+        </div>
+    `;
+
+  const page = data.page || { rows: [], total: 0, sort: { field: null, order: "asc" } };
+  const pageState = {
+    runId: data.runId,
+    sort: page.sort,
+    limit: page.limit,
+    pages: [{ cursor: null, offset: 0 }],
+  };
+  renderResultsPage(answer, pageState, page);
+
+  const hasChart =
+    data.visualization &&
+    data.visualization.type !== "none" &&
+    renderChart(answer.querySelector(".chart-view canvas"), data.visualization);
+  if (!hasChart) {
+    answer.querySelector('.view-btn[data-view="chart"]').style.display = "none";
+  }
+
+  const refreshButton = answer.querySelector(".refresh-btn");
+  if (refreshButton) {
+    refreshButton.addEventListener("click", () => refreshQuery(data.query));
+  }
+
+  const saveButton = answer.querySelector(".save-query-btn");
+  if (saveButton) {
+    saveButton.addEventListener("click", () => saveQuery(data.runId, data.query));
+  }
+
+  answer.querySelectorAll("[data-export]").forEach((button) => {
+    button.addEventListener("click", () => downloadExport(data.runId, button.dataset.export));
+  });
+
+  answer.querySelectorAll(".view-btn").forEach((button) => {
+    button.addEventListener("click", () =>
+      setDataView(answer, button.dataset.view)
     );
-    return;
+  });
+  setDataView(answer, hasChart ? "chart" : "table");
+}
+
+function setDataView(answer, view) {
+  answer.querySelectorAll(".view-btn").forEach((button) => {
+    button.classList.toggle("active", button.dataset.view === view);
+  });
+  answer.querySelector(".chart-view").style.display =
+    view === "chart" ? "block" : "none";
+  answer.querySelector(".table-view").style.display =
+    view === "table" ? "block" : "none";
+  answer.querySelector(".raw-data-content").style.display =
+    view === "json" ? "block" : "none";
+}
+
+const CHART_COLORS = ["#667eea", "#764ba2", "#38b2ac", "#ed8936"];
+const YES_NO_COLORS = ["#28a745", "#dc3545"];
+
+// Draw a backend visualization spec with Chart.js; returns false if it can't
+function renderChart(canvas, spec) {
+  if (typeof Chart === "undefined") {
+    console.warn("Chart.js not loaded, falling back to table view");
+    return false;
   }
 
-  // Update metadata
-  resultMeta.innerHTML = `
-        <div>📊 ${data.resultCount} records found</div>
-        <div>⏱️ ${new Date(data.executionTime).toLocaleTimeString()}</div>
+  const stacked = spec.type === "stacked-bar";
+  const colors = stacked ? YES_NO_COLORS : CHART_COLORS;
+  const yAxis = spec.yAxis || {};
+
+  new Chart(canvas, {
+    type: spec.type === "line" ? "line" : "bar",
+    data: {
+      labels: spec.labels,
+      datasets: spec.datasets.map((dataset, i) => ({
+        ...dataset,
+        backgroundColor: colors[i % colors.length],
+        borderColor: colors[i % colors.length],
+        tension: 0.2,
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: spec.truncated ? `${spec.title} (top ${spec.labels.length})` : spec.title,
+        },
+        legend: { display: spec.datasets.length > 1 },
+      },
+      scales: {
+        x: { stacked },
+        y: {
+          stacked,
+          min: yAxis.min,
+          max: yAxis.max,
+          title: { display: Boolean(yAxis.label), text: yAxis.label },
+        },
+      },
+    },
+  });
+  return true;
+}
+
+function destroyCharts(element) {
+  if (typeof Chart === "undefined") return;
+  element.querySelectorAll("canvas").forEach((canvas) => {
+    const chart = Chart.getChart(canvas);
+    if (chart) chart.destroy();
+  });
+}
+
+// Show one page of results in the table and JSON views. Paging needs the runId,
+// so streamed results only show the first page until the answer is complete.
+// state.pages holds the cursor and offset of every page visited, for "Previous"
+function renderResultsPage(answer, state, page) {
+  const tableView = answer.querySelector(".table-view");
+  const canPage = Boolean(state.runId);
+  const { offset } = state.pages[state.pages.length - 1];
+  const from = page.rows.length > 0 ? offset + 1 : 0;
+
+  tableView.innerHTML = `
+        ${buildResultsTable(page.rows, canPage ? state.sort : null)}
+        <div class="page-controls">
+            <button class="page-btn" data-page="prev" ${
+              canPage && state.pages.length > 1 ? "" : "disabled"
+            }>← Previous</button>
+            <span class="page-info">Rows ${from}–${offset + page.rows.length} of ${page.total}</span>
+            <button class="page-btn" data-page="next" ${
+              canPage && page.nextCursor ? "" : "disabled"
+            }>Next →</button>
+        </div>
     `;
+  answer.querySelector(".raw-data-content").textContent =
+    page.rows.length > 0 ? JSON.stringify(page.rows, null, 2) : "No raw data available";
 
-  // Always show raw data first
-  if (data.rawResults && data.rawResults.length > 0) {
-    rawDataContent.textContent = JSON.stringify(data.rawResults, null, 2);
-    rawDataSection.style.display = "block";
-  } else {
-    rawDataContent.textContent = "No raw data available";
-    rawDataSection.style.display = "block";
+  if (!canPage) return;
+
+  tableView.querySelector('[data-page="next"]').addEventListener("click", () => {
+    state.pages.push({ cursor: page.nextCursor, offset: offset + page.rows.length });
+    loadResultsPage(answer, state);
+  });
+  tableView.querySelector('[data-page="prev"]').addEventListener("click", () => {
+    state.pages.pop();
+    loadResultsPage(answer, state);
+  });
+  tableView.querySelectorAll("th[data-field]").forEach((th) => {
+    th.addEventListener("click", () => {
+      const field = th.dataset.field;
+      state.sort = {
+        field,
+        order: state.sort.field === field && state.sort.order === "asc" ? "desc" : "asc",
+      };
+      state.pages = [{ cursor: null, offset: 0 }];
+      loadResultsPage(answer, state);
+    });
+  });
+}
+
+// Fetch the last page in state.pages from the run's stored results
+async function loadResultsPage(answer, state) {
+  const tableView = answer.querySelector(".table-view");
+  const { cursor } = state.pages[state.pages.length - 1];
+  const params = new URLSearchParams();
+  if (state.limit) params.set("limit", state.limit);
+  if (cursor) {
+    params.set("cursor", cursor);
+  } else if (state.sort.field) {
+    params.set("sort", state.sort.field);
+    params.set("order", state.sort.order);
+  }
+
+  tableView.querySelectorAll(".page-btn").forEach((button) => {
+    button.disabled = true;
+  });
+
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/runs/${encodeURIComponent(state.runId)}/results?${params}`,
+      { headers: authHeaders() }
+    );
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    renderResultsPage(answer, state, data);
+  } catch (error) {
+    console.error("Loading results page failed:", error);
+    const info = tableView.querySelector(".page-info");
+    if (info) info.textContent = `Could not load rows: ${error.message}`;
+  }
+}
+
+// Build an HTML table with one column per (flattened) field; with a sort,
+// headers can be clicked to sort the whole result set
+function buildResultsTable(rows, sort = null) {
+  if (!rows || rows.length === 0) {
+    return "<p>No rows to display</p>";
+  }
+
+  const flatRows = rows.map((row) => flattenRow(row));
+  const columns = [];
+  flatRows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const header = columns
+    .map((c) => {
+      if (!sort) return `<th>${escapeHtml(c)}</th>`;
+      const arrow = sort.field === c ? (sort.order === "asc" ? " ▲" : " ▼") : "";
+      return `<th class="sortable" data-field="${escapeHtml(c)}">${escapeHtml(c)}${arrow}</th>`;
+    })
+    .join("");
+  const body = flatRows
+    .map(
+      (row) =>
+        `<tr>${columns
+          .map((c) => `<td>${escapeHtml(formatCell(row[c]))}</td>`)
+          .join("")}</tr>`
+    )
+    .join("");
+
+  return `<div class="table-wrapper"><table class="results-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+// { _id: { instructor: "A" }, ratings: { overallAverage: 4 } } -> { "_id.instructor": "A", "ratings.overallAverage": 4 }
+function flattenRow(row, prefix = "", out = {}) {
+  if (row === null || typeof row !== "object") {
+    out[prefix || "value"] = row;
+    return out;
+  }
+
+  Object.entries(row).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenRow(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+  // ISO dates from the API
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return String(value);
+}
+
+// Show results
+function showResults(turn, data) {
+  if (data.clarification) {
+    renderClarification(turn, data.clarification);
+    return;
   }
 
+  renderResults(turn, data);
+
+  const analysisContent = turn.querySelector(".analysis-content");
+
   // Show analysis below raw data
   if (data.analysis) {
-    analysisContent.innerHTML = formatAnalysis(data.analysis);
-    analysisSection.style.display = "block";
+    analysisContent.innerHTML =
+      formatAnalysis(data.analysis, data.verification) +
+      formatCoverageNote(data.coverage) +
+      formatVerificationNote(data.verification);
   } else {
     analysisContent.innerHTML = "<p>Analysis not available</p>";
-    analysisSection.style.display = "block";
   }
 
-  // Show results section
-  resultsSection.style.display = "block";
+  setupPipelinePanel(turn.querySelector(".turn-answer"), data);
+  setupFeedback(turn.querySelector(".turn-answer"), data);
 
-  // Scroll to results
-  resultsSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  // Scroll to the new answer
+  turn.scrollIntoView({ behavior: "smooth", block: "start" });
 }
 
-// Format analysis text
-function formatAnalysis(analysis) {
-  // Convert analysis text to HTML with better formatting
+// Generate the pipeline without running it; with explain, also show the query plan
+async function previewQuery(explain) {
+  if (isLoading) return;
+
+  const queryInput = document.getElementById("queryInput");
+  const query = queryInput.value.trim();
+  if (!query) {
+    alert("Please enter a query first!");
+    queryInput.focus();
+    return;
+  }
+
+  setLoadingState(true);
+  hideError();
+  const turn = appendTurn(query);
+  setTurnStatus(turn, explain ? "🔍 Explaining query plan..." : "🧪 Generating pipeline...");
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/query`, {
+      method: "POST",
+      headers: authHeaders({
+        "Content-Type": "application/json",
+      }),
+      body: JSON.stringify({ query, conversationId, dryRun: true, explain }),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    if (data.clarification) {
+      renderClarification(turn, data.clarification);
+    } else {
+      renderPreview(turn, data);
+    }
+  } catch (error) {
+    console.error("Preview failed:", error);
+    turn.remove();
+    showError(error.message || "Could not generate the pipeline");
+  } finally {
+    setLoadingState(false);
+  }
+}
+
+function renderPreview(turn, data) {
+  const answer = turn.querySelector(".turn-answer");
+  const validation = data.validation || [];
+
+  answer.innerHTML = `
+        <div class="result-meta">
+            <div>${data.explain ? "🔍 Query plan" : "🧪 Dry run"} - nothing was executed</div>
+            <div>⏱️ ${new Date(data.executionTime).toLocaleTimeString()}</div>
+        </div>
+        ${formatEntityNotes(data.entities)}
+        ${data.explain ? formatExplain(data.explain) : ""}
+        ${
+          validation.length > 0
+            ? `<div class="entity-notes">⚠️ This pipeline would be rejected: ${validation
+                .map((e) => escapeHtml(`${e.path}: ${e.message}`))
+                .join("; ")}</div>`
+            : ""
+        }
+    `;
+  setupPipelinePanel(answer, data, true);
+}
+
+// The server asks back instead of running a query; each option is a rewritten question
+function renderClarification(turn, clarification) {
+  const answer = turn.querySelector(".turn-answer");
+  const icon = clarification.type === "out_of_scope" ? "🚫" : "❓";
+
+  answer.innerHTML = `
+        <div class="clarification">
+            <p>${icon} ${escapeHtml(clarification.message)}</p>
+            <div class="clarification-options">
+                ${clarification.options
+                  .map(
+                    (option, index) =>
+                      `<button class="export-btn clarify-option" data-index="${index}">${escapeHtml(
+                        option.label
+                      )}</button>`
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `;
+
+  answer.querySelectorAll(".clarify-option").forEach((button) => {
+    const option = clarification.options[button.dataset.index];
+    button.title = option.question;
+    button.addEventListener("click", () => askClarifiedQuestion(option.question));
+  });
+  turn.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function askClarifiedQuestion(question) {
+  if (isLoading) return;
+  document.getElementById("queryInput").value = question;
+  submitQuery();
+}
+
+function formatExplain(explain) {
+  const index = explain.indexesUsed.length
+    ? explain.indexesUsed.map(escapeHtml).join(", ")
+    : "none";
+  return `
+        <div class="explain-summary">
+            <div><strong>Index used:</strong> ${index}${
+              explain.collectionScan ? " (collection scan)" : ""
+            }</div>
+            <div><strong>Documents examined:</strong> ${explain.docsExamined}</div>
+            <div><strong>Index keys examined:</strong> ${explain.keysExamined}</div>
+            <div><strong>Returned:</strong> ${explain.returned}</div>
+            <div><strong>Time:</strong> ${explain.executionTimeMillis} ms</div>
+        </div>
+    `;
+}
+
+// Editable pipeline for an answer or preview; running it adds a new turn
+function setupPipelinePanel(answer, data, open = false) {
+  if (!data.pipeline) return;
+
+  answer.insertAdjacentHTML(
+    "beforeend",
+    `
+        <details class="pipeline-panel"${open ? " open" : ""}>
+            <summary class="section-title">🛠️ MongoDB Pipeline</summary>
+            <textarea class="pipeline-input" rows="10" spellcheck="false"></textarea>
+            <div class="pipeline-actions">
+                <button class="export-btn run-pipeline-btn">▶️ Run this pipeline</button>
+                <span class="pipeline-status"></span>
+            </div>
+        </details>
+    `
+  );
+
+  const panel = answer.querySelector(".pipeline-panel");
+  const input = panel.querySelector(".pipeline-input");
+  input.value = JSON.stringify(data.pipeline, null, 2);
+  panel
+    .querySelector(".run-pipeline-btn")
+    .addEventListener("click", () => runEditedPipeline(panel, data.query));
+}
+
+async function runEditedPipeline(panel, query) {
+  if (isLoading) return;
+
+  const status = panel.querySelector(".pipeline-status");
+  let pipeline;
+  try {
+    pipeline = JSON.parse(panel.querySelector(".pipeline-input").value);
+  } catch (error) {
+    status.textContent = `Invalid JSON: ${error.message}`;
+    return;
+  }
+  status.textContent = "";
+
+  setLoadingState(true);
+  hideError();
+  const turn = appendTurn(`${query} (edited pipeline)`);
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/query/pipeline`, {
+      method: "POST",
+      headers: authHeaders({
+        "Content-Type": "application/json",
+      }),
+      body: JSON.stringify({ query, pipeline, conversationId }),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    conversationId = data.conversationId;
+    showResults(turn, data);
+  } catch (error) {
+    console.error("Edited pipeline failed:", error);
+    turn.remove();
+    status.textContent = error.message;
+  } finally {
+    setLoadingState(false);
+  }
+}
+
+// Thumbs up/down and pipeline corrections; approved answers become examples
+// for generating similar queries
+function setupFeedback(answer, data) {
+  if (!data.runId) return;
+
+  answer.insertAdjacentHTML(
+    "beforeend",
+    `
+        <div class="feedback-bar">
+            <span>Was this answer right?</span>
+            <button class="feedback-btn" data-rating="up" title="Correct answer">👍</button>
+            <button class="feedback-btn" data-rating="down" title="Wrong answer">👎</button>
+            <button class="feedback-btn" data-action="correct">✏️ Correct the query</button>
+            <span class="feedback-status"></span>
+            <div class="correction-panel" style="display: none">
+                <textarea class="correction-input" rows="8" spellcheck="false"></textarea>
+                <button class="feedback-btn feedback-submit">Submit correction</button>
+            </div>
+        </div>
+    `
+  );
+
+  const bar = answer.querySelector(".feedback-bar");
+  const panel = bar.querySelector(".correction-panel");
+  const input = bar.querySelector(".correction-input");
+  input.value = JSON.stringify(data.pipeline || [], null, 2);
+
+  bar.querySelectorAll("[data-rating]").forEach((button) => {
+    button.addEventListener("click", () =>
+      sendFeedback(bar, { runId: data.runId, rating: button.dataset.rating })
+    );
+  });
+  bar.querySelector('[data-action="correct"]').addEventListener("click", () => {
+    panel.style.display = panel.style.display === "none" ? "block" : "none";
+  });
+  bar.querySelector(".feedback-submit").addEventListener("click", () => {
+    let correctedPipeline;
+    try {
+      correctedPipeline = JSON.parse(input.value);
+    } catch (error) {
+      bar.querySelector(".feedback-status").textContent = `Invalid JSON: ${error.message}`;
+      return;
+    }
+    sendFeedback(bar, { runId: data.runId, rating: "down", correctedPipeline });
+  });
+}
+
+async function sendFeedback(bar, feedback) {
+  const status = bar.querySelector(".feedback-status");
+  status.textContent = "Sending...";
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/feedback`, {
+      method: "POST",
+      headers: authHeaders({
+        "Content-Type": "application/json",
+      }),
+      body: JSON.stringify(feedback),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+
+    status.textContent =
+      data.feedback.example === "verified"
+        ? "Thanks! This query will be used for similar questions."
+        : data.feedback.example === "candidate"
+          ? "Thanks! An admin will review this query before it is used for similar questions."
+          : "Thanks for the feedback!";
+    bar.querySelectorAll("[data-rating]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.rating === feedback.rating);
+    });
+    if (feedback.correctedPipeline) {
+      bar.querySelector(".correction-panel").style.display = "none";
+    }
+  } catch (error) {
+    console.error("Feedback failed:", error);
+    status.textContent = `Could not send feedback: ${error.message}`;
+  }
+}
+
+// Shown when the answer came (partly) from the server's query cache
+function formatCacheBadge(cache) {
+  if (!cache || (cache.pipeline !== "hit" && cache.results !== "hit")) return "";
+
+  const title =
+    cache.results === "hit"
+      ? "Results and analysis were reused from an earlier identical query"
+      : "The MongoDB query was reused from an earlier identical question";
+  return `
+            <div class="cache-badge" title="${title}">⚡ Cached</div>
+            <button class="export-btn refresh-btn">🔄 Refresh</button>
+        `;
+}
+
+// The server stops at its row cap; say so instead of passing the rows off as all matches
+function formatCapNote(data) {
+  if (!data.capped) return "";
+
+  const title = `Only the first ${data.limit} matching records were returned; narrow the question to see the rest`;
+  return `<div class="cap-badge" title="${title}">⚠️ Limited to ${data.limit} records</div>`;
+}
+
+// Ask the question again, bypassing the cache
+function refreshQuery(query) {
+  if (isLoading) return;
+  document.getElementById("queryInput").value = query;
+  submitQuery(true);
+}
+
+// Download buttons for the full result set of a completed run
+function formatExportLinks(runId) {
+  if (!runId) return "";
+
+  return `
+        <div class="export-actions">
+            <button class="export-btn" data-export="csv">⬇️ CSV</button>
+            <button class="export-btn" data-export="xlsx">⬇️ XLSX</button>
+            <button class="export-btn" data-export="html">🖨️ Report</button>
+            <button class="export-btn save-query-btn">⭐ Save</button>
+        </div>
+    `;
+}
+
+// Links can't send the API key, so each download gets a short-lived token for this run
+async function downloadExport(runId, format) {
+  // Opened before the request so the browser doesn't block it as a popup
+  const reportWindow = format === "html" ? window.open("", "_blank") : null;
+  const base = `${API_BASE_URL}/exports/${encodeURIComponent(runId)}`;
+
+  try {
+    const response = await fetch(`${base}/token`, {
+      method: "POST",
+      headers: authHeaders(),
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+
+    const url = `${base}?format=${format}&download_token=${encodeURIComponent(data.token)}`;
+    if (reportWindow) {
+      reportWindow.opener = null;
+      reportWindow.location = url;
+    } else {
+      window.location.href = url;
+    }
+  } catch (error) {
+    console.error("Export failed:", error);
+    if (reportWindow) reportWindow.close();
+    showError(`Could not export the results: ${error.message}`);
+  }
+}
+
+// Save the question of a completed run, optionally pinned and scheduled
+async function saveQuery(runId, question) {
+  const name = prompt("Name for this saved query:", question);
+  if (!name) return;
+
+  const schedule = prompt(
+    "Optional cron schedule, e.g. '0 9 * * 1' for Mondays at 9:00. Leave empty to run on demand only:",
+    ""
+  );
+  const pin = confirm(
+    "Pin the generated MongoDB pipeline so every run uses exactly the same query?"
+  );
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/saved-queries`, {
+      method: "POST",
+      headers: authHeaders({
+        "Content-Type": "application/json",
+      }),
+      body: JSON.stringify({
+        name,
+        question,
+        runId: pin ? runId : undefined,
+        schedule: schedule ? schedule.trim() : undefined,
+      }),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    alert(`Saved "${data.savedQuery.name}"`);
+  } catch (error) {
+    console.error("Saving query failed:", error);
+    alert(`Could not save query: ${error.message}`);
+  }
+}
+
+// Key figures from the backend statistics engine, shown alongside the AI analysis
+function formatStatistics(statistics) {
+  if (!statistics) return "";
+
+  const formatP = (p) => (p < 0.0001 ? "p < 0.0001" : `p = ${p}`);
+  const items = [];
+  const summary = statistics.summary;
+  const interval = summary.confidenceInterval;
+  items.push(
+    `<strong>${summary.weightedMean}</strong> ${
+      statistics.weightField ? "response-weighted " : ""
+    }mean${
+      interval ? ` (95% CI ${interval.lower}–${interval.upper})` : ""
+    }, std dev ${summary.stdDev}, n=${statistics.count}`
+  );
+
+  const trend = statistics.trend;
+  if (trend) {
+    const arrow = trend.slopePerMonth >= 0 ? "📈" : "📉";
+    items.push(
+      trend.significant
+        ? `${arrow} ${escapeHtml(trend.direction)}: ${trend.slopePerMonth} per month (${formatP(trend.pValue)})`
+        : `➖ No significant trend (${formatP(trend.pValue)})`
+    );
+  }
+
+  const groups = statistics.groups;
+  if (groups && groups.comparison.pValue !== null) {
+    const c = groups.comparison;
+    items.push(
+      `⚖️ ${escapeHtml(c.highest)} vs ${escapeHtml(c.lowest)}: ${c.difference} apart (${formatP(c.pValue)}, ${
+        c.significant ? "significant" : "not significant"
+      })`
+    );
+  }
+
+  return `
+        <details class="statistics-panel">
+            <summary class="section-title">📐 Statistics: ${escapeHtml(statistics.metric)}</summary>
+            ${items.map((item) => `<div>${item}</div>`).join("")}
+        </details>
+    `;
+}
+
+// Explain how names in the question were matched to known values
+function formatEntityNotes(entities) {
+  if (!entities) return "";
+
+  const notes = [];
+  [...entities.resolved, ...entities.rewrites].forEach((match) => {
+    const from = match.mention || match.from;
+    const to = match.value || match.to;
+    if (from.toLowerCase() !== to.toLowerCase()) {
+      notes.push(
+        `🔎 Matched "${escapeHtml(from)}" to ${escapeHtml(match.field)} <strong>${escapeHtml(to)}</strong>`
+      );
+    }
+  });
+  (entities.dates || []).forEach((range) => {
+    notes.push(
+      `📅 Read "${escapeHtml(range.expression)}" as <strong>${escapeHtml(range.from)}</strong> to <strong>${escapeHtml(range.to)}</strong>`
+    );
+  });
+  entities.ambiguous.forEach((match) => {
+    const candidates = match.candidates
+      .map((c) => `<strong>${escapeHtml(c.value)}</strong> (${escapeHtml(c.field)})`)
+      .join(", ");
+    notes.push(
+      `❓ "${escapeHtml(match.mention)}" could mean ${candidates}. Ask again with the full name to narrow it down.`
+    );
+  });
+
+  if (notes.length === 0) return "";
+  return `<div class="entity-notes">${notes
+    .map((note) => `<div>${note}</div>`)
+    .join("")}</div>`;
+}
+
+// Start a fresh thread; the next question has no previous context
+function startNewConversation() {
+  conversationId = null;
+  document.getElementById("conversationThread").innerHTML = "";
+  hideResults();
+  hideError();
+  document.getElementById("queryInput").focus();
+}
+
+// Scorecard of the instructor named in the query box; the figures are computed by
+// the server without the LLM, the narrative is only written on request
+async function showScorecard() {
+  if (isLoading) return;
+
+  const queryInput = document.getElementById("queryInput");
+  const name = queryInput.value.trim();
+  if (!name) {
+    alert("Please enter an instructor name first!");
+    queryInput.focus();
+    return;
+  }
+
+  setLoadingState(true);
+  hideError();
+  const turn = appendTurn(`📇 Scorecard: ${name}`);
+  setTurnStatus(turn, "📇 Building scorecard...");
+
+  try {
+    const scorecard = await fetchScorecard(name, false);
+    queryInput.value = "";
+    queryInput.style.height = "auto";
+    renderScorecard(turn, scorecard);
+  } catch (error) {
+    console.error("Scorecard failed:", error);
+    turn.remove();
+    showError(error.message || "Could not build the scorecard");
+  } finally {
+    setLoadingState(false);
+  }
+}
+
+async function fetchScorecard(name, narrative) {
+  const response = await fetch(
+    `${API_BASE_URL}/instructors/${encodeURIComponent(name)}/scorecard${
+      narrative ? "?narrative=1" : ""
+    }`,
+    { headers: authHeaders() }
+  );
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error);
+  }
+  return data.scorecard;
+}
+
+function renderScorecard(turn, scorecard) {
+  const answer = turn.querySelector(".turn-answer");
+  destroyCharts(answer);
+
+  const formatDate = (value) => escapeHtml(String(value).slice(0, 10));
+  const orDash = (value, suffix = "") => (value === null ? "–" : `${value}${suffix}`);
+  const { recent } = scorecard;
+
+  const metric = (value, label, context = "") => `
+            <div class="metric-card">
+                <div class="metric-value">${escapeHtml(String(value))}</div>
+                <div class="metric-label">${label}</div>
+                ${context ? `<div class="metric-context">${escapeHtml(context)}</div>` : ""}
+            </div>`;
+  const change =
+    recent.change === null
+      ? ""
+      : `${recent.change > 0 ? "+" : ""}${recent.change} vs the ${recent.sessions} before`;
+  const attendance = scorecard.attendance;
+  const ranks = (scorecard.domainRanks || [])
+    .filter((rank) => rank.rank !== null)
+    .map((rank) =>
+      metric(
+        `#${rank.rank} of ${rank.of}`,
+        `Rank in ${escapeHtml(rank.domain)}`,
+        `domain average ${orDash(rank.domainAverage)}`
+      )
+    )
+    .join("");
+
+  const quarterRows = scorecard.quarters
+    .map(
+      (quarter) => `<tr>
+            <td>${escapeHtml(quarter.quarter)}</td>
+            <td>${quarter.sessions}</td>
+            <td>${orDash(quarter.weightedAverage)}</td>
+            <td>${quarter.totalResponses}</td>
+            <td>${orDash(quarter.attendanceRate, "%")}</td>
+            <td>${orDash(quarter.percentRated, "%")}</td>
+            <td>${orDash(quarter.yesPercent, "%")}</td>
+        </tr>`
+    )
+    .join("");
+
+  const sessionList = (title, className, sessions) =>
+    sessions.length
+      ? `<div class="analysis-list ${className}"><h5>${title}</h5><ul>${sessions
+          .map(
+            (session) =>
+              `<li>${formatDate(session.date)} · ${escapeHtml(
+                session.topicCode || session.class || "Session"
+              )} · <strong>${session.rating}</strong> (${session.responses} responses)</li>`
+          )
+          .join("")}</ul></div>`
+      : "";
+
+  answer.innerHTML = `
+        <div class="result-meta">
+            <div>📇 ${scorecard.sessionCount} sessions</div>
+            <div>📅 ${formatDate(scorecard.firstSession)} – ${formatDate(scorecard.lastSession)}</div>
+            <div>🏷️ ${scorecard.domains.map(escapeHtml).join(", ") || "No domain"}</div>
+        </div>
+        <div class="analysis-metrics">
+            ${metric(
+              orDash(scorecard.weightedAverage),
+              "Average rating",
+              `weighted by ${scorecard.totalResponses} responses`
+            )}
+            ${metric(orDash(recent.weightedAverage), `Last ${recent.sessions} sessions`, change)}
+            ${metric(
+              orDash(attendance.rate, "%"),
+              "Attendance",
+              `${attendance.studentsAttended} of ${attendance.cohortStrength} students`
+            )}
+            ${metric(orDash(scorecard.percentRated, "%"), "Students rating")}
+            ${metric(
+              orDash(scorecard.yesNo.yesPercent, "%"),
+              "Yes responses",
+              `${scorecard.yesNo.yes} yes / ${scorecard.yesNo.no} no`
+            )}
+            ${ranks}
+        </div>
+        ${
+          recent.trend
+            ? `<div class="entity-notes">📈 Trend over the last ${recent.sessions} sessions: ${escapeHtml(
+                recent.trend.direction
+              )} (${recent.trend.slopePerMonth > 0 ? "+" : ""}${recent.trend.slopePerMonth} per month${
+                recent.trend.significant ? "" : ", not significant"
+              })</div>`
+            : ""
+        }
+        <div class="scorecard-chart"><canvas></canvas></div>
+        <div class="analysis-table">
+            <h5>Quarter by quarter</h5>
+            <div class="table-wrapper"><table class="results-table">
+                <thead><tr><th>Quarter</th><th>Sessions</th><th>Avg rating</th><th>Responses</th><th>Attendance</th><th>Rated</th><th>Yes</th></tr></thead>
+                <tbody>${quarterRows}</tbody>
+            </table></div>
+        </div>
+        ${sessionList("🏆 Best sessions", "analysis-patterns", scorecard.bestSessions)}
+        ${sessionList("⚠️ Worst sessions", "analysis-concerns", scorecard.worstSessions)}
+        <div class="analysis-section">
+            <h4 class="section-title">🤖 AI Analysis</h4>
+            <div class="analysis-content">
+                <button class="export-btn narrative-btn">✍️ Write a narrative</button>
+            </div>
+        </div>
+    `;
+
+  const hasChart = renderChart(answer.querySelector(".scorecard-chart canvas"), {
+    type: "line",
+    title: `Last ${recent.sessions} sessions`,
+    labels: recent.points.map((point) => String(point.date).slice(0, 10)),
+    datasets: [{ label: "Rating", data: recent.points.map((point) => point.rating) }],
+    yAxis: { min: 1, max: 5, label: "Rating" },
+  });
+  if (!hasChart) {
+    answer.querySelector(".scorecard-chart").style.display = "none";
+  }
+
+  answer
+    .querySelector(".narrative-btn")
+    .addEventListener("click", () => loadScorecardNarrative(answer, scorecard.instructor));
+  turn.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+async function loadScorecardNarrative(answer, instructor) {
+  const content = answer.querySelector(".analysis-content");
+  content.innerHTML = "<p>⏳ Writing narrative...</p>";
+  try {
+    const scorecard = await fetchScorecard(instructor, true);
+    content.innerHTML = formatAnalysis(scorecard.narrative, null);
+  } catch (error) {
+    console.error("Narrative failed:", error);
+    content.innerHTML = `<p>Could not write the narrative: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Render the answer, key metrics, tables and insight lists of an analysis;
+// sentences and values the backend couldn't verify are highlighted
+function formatAnalysis(analysis, verification) {
+  const unverified = verification ? verification.sentences : [];
+  // Runs saved before analyses were structured are plain text
+  if (typeof analysis === "string") return formatTextAnalysis(analysis, unverified);
+
+  const unverifiedValues = new Set(unverified.flatMap((sentence) => sentence.claims.map(String)));
+
+  const metrics = analysis.metrics.length
+    ? `<div class="analysis-metrics">${analysis.metrics
+        .map(
+          (metric) => `
+            <div class="metric-card">
+                <div class="metric-value">${markUnverifiedValue(metric.value, unverifiedValues)}</div>
+                <div class="metric-label">${escapeHtml(metric.label)}</div>
+                ${
+                  metric.context
+                    ? `<div class="metric-context">${highlightUnverified(metric.context, unverified)}</div>`
+                    : ""
+                }
+            </div>`
+        )
+        .join("")}</div>`
+    : "";
+
+  const tables = analysis.tables
+    .map((table) => {
+      const header = table.columns.map((column) => `<th>${escapeHtml(column)}</th>`).join("");
+      const body = table.rows
+        .map(
+          (row) =>
+            `<tr>${row
+              .map((cell) => `<td>${markUnverifiedValue(cell, unverifiedValues)}</td>`)
+              .join("")}</tr>`
+        )
+        .join("");
+      return `
+        <div class="analysis-table">
+            ${table.title ? `<h5>${escapeHtml(table.title)}</h5>` : ""}
+            <div class="table-wrapper"><table class="results-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>
+        </div>`;
+    })
+    .join("");
+
+  const list = (title, className, items) =>
+    items.length
+      ? `<div class="analysis-list ${className}"><h5>${title}</h5><ul>${items
+          .map((item) => `<li>${highlightUnverified(item, unverified)}</li>`)
+          .join("")}</ul></div>`
+      : "";
+
+  return `
+        <p class="analysis-answer">${highlightUnverified(analysis.answer, unverified)}</p>
+        ${metrics}
+        ${tables}
+        ${list("🔍 Patterns", "analysis-patterns", analysis.patterns)}
+        ${list("⚠️ Concerns", "analysis-concerns", analysis.concerns)}
+        ${list("💡 Recommendations", "analysis-recommendations", analysis.recommendations)}
+    `;
+}
+
+// Table cells and metric values are checked by the numbers and names they contain
+function markUnverifiedValue(value, unverifiedValues) {
+  const text = formatCell(value);
+  const tokens = [text, String(value), ...(String(value).match(/-?\d[\d,]*(?:\.\d+)?%?/g) || [])];
+  if (!tokens.some((token) => unverifiedValues.has(token))) return escapeHtml(text);
+  return `<mark class="unverified" title="Not found in the results">${escapeHtml(text)}</mark>`;
+}
+
+// Plain-text analysis: short lines that look like headers are bolded
+function formatTextAnalysis(analysis, unverified) {
   return analysis
     .split("\n")
     .map((line) => {
@@ -235,15 +1420,56 @@ function formatAnalysis(analysis) {
 
       // Bold lines that look like headers (start with caps, short)
       if (line.length < 100 && /^[A-Z]/.test(line) && !line.endsWith(".")) {
-        return `<p><strong>${escapeHtml(line)}</strong></p>`;
+        return `<p><strong>${highlightUnverified(line, unverified)}</strong></p>`;
       }
 
       // Regular paragraphs
-      return `<p>${escapeHtml(line)}</p>`;
+      return `<p>${highlightUnverified(line, unverified)}</p>`;
     })
     .join("");
 }
 
+// Escape a line, wrapping any unverified sentences it contains in <mark>
+function highlightUnverified(line, unverified) {
+  let html = "";
+  let rest = line;
+
+  unverified.forEach((sentence) => {
+    const index = rest.indexOf(sentence.text);
+    if (index === -1) return;
+    html +=
+      escapeHtml(rest.slice(0, index)) +
+      `<mark class="unverified" title="Not found in the results: ${escapeHtml(
+        sentence.claims.join(", ")
+      )}">${escapeHtml(sentence.text)}</mark>`;
+    rest = rest.slice(index + sentence.text.length);
+  });
+
+  return html + escapeHtml(rest);
+}
+
+// How much of the result set the analysis was based on; only shown when it was summarized
+function formatCoverageNote(coverage) {
+  if (!coverage || coverage.mode === "complete") return "";
+  const icon = coverage.mode === "partial" ? "⚠️" : "📚";
+  return `<div class="coverage-note">${icon} ${escapeHtml(coverage.description)}</div>`;
+}
+
+function formatVerificationNote(verification) {
+  if (!verification || verification.claims === 0) return "";
+
+  const unsupported = verification.unsupported.length;
+  const rewritten = verification.regenerated
+    ? " The first draft was rewritten because too many figures didn't match."
+    : "";
+  const message =
+    unsupported === 0
+      ? `✅ All ${verification.claims} figures and names were found in the results.`
+      : `⚠️ ${unsupported} of ${verification.claims} figures or names couldn't be found in the results and are highlighted.`;
+
+  return `<div class="verification-note">${message}${rewritten}</div>`;
+}
+
 // Escape HTML
 function escapeHtml(text) {
   const div = document.createElement("div");